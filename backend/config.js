@@ -9,6 +9,9 @@ const config = {
   LISTEN_HOST: '0.0.0.0',
   SYSTEM_PROMPT: 'You are a helpful AI assistant.',
   CANCEL_PLAYBACK_TIME_THRESHOLD: 3000,
+  DEFAULT_BOARD: '9-standard',
+  GAME_DATA_DIR: 'data/games', // Saved games, relative to the backend directory
+  GOD_VIEW_TOKEN: process.env.GOD_VIEW_TOKEN || null, // The god view is disabled unless a token is set
 };
 
 module.exports = config;
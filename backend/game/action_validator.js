@@ -0,0 +1,141 @@
+const { PHASES } = require('./phases');
+
+// Actions taken on death rather than in a phase
+const DEATH_ACTIONS = ['shoot', 'handOverBadge'];
+
+const SPEAKING_DIRECTIONS = ['clockwise', 'counterclockwise'];
+
+// A rejection carries a reason code the client and the AI retry logic can react to:
+// unknownAction, unknownPlayer, wrongPhase, actorDead, notPermitted, alreadyActed,
+// noUsesLeft, targetRequired, unknownTarget, targetDead, invalidTarget
+function reject(code, message) {
+    return { code, message };
+}
+
+// Extra checks on a target that exists and is alive, per action.
+// Actions listed here take a player as target; optional ones accept null for taking no action.
+const TARGET_RULES = {
+    vote: {
+        optional: true,
+        check: (state, playerId, targetId) => {
+            if (targetId === playerId) return 'You cannot vote for yourself';
+            if (!state.voteCandidates.includes(targetId)) return 'That player is not a candidate in this vote';
+            return null;
+        }
+    },
+    policeVote: { optional: false },
+    guardProtect: {
+        optional: true,
+        check: (state, playerId, targetId) =>
+            targetId === state.lastGuardTarget ? 'The guard cannot protect the same player two nights in a row' : null
+    },
+    wolfKill: { optional: true },
+    seerCheck: {
+        optional: true,
+        check: (state, playerId, targetId) =>
+            targetId === playerId ? 'The seer cannot check themselves' : null
+    },
+    witchPoison: { optional: false },
+    shoot: { optional: true },
+    handOverBadge: {
+        optional: true,
+        check: (state, playerId, targetId) =>
+            targetId === playerId ? 'The badge must go to another player' : null
+    }
+};
+
+function isKnownAction(action) {
+    return DEATH_ACTIONS.includes(action)
+        || Object.values(PHASES).some(phase => action in phase.actions);
+}
+
+function checkActor(state, playerId, action) {
+    if (DEATH_ACTIONS.includes(action)) {
+        if (state.phase === 'gameOver') {
+            return reject('wrongPhase', 'The game is over');
+        }
+        if (action === 'shoot' && (state.isPlayerAlive(playerId) || !state.canShootOnDeath(playerId))) {
+            return reject('notPermitted', 'Only a dead hunter or wolf king may shoot, and not after every kind of death');
+        }
+        if (action === 'handOverBadge' && (state.police !== playerId || state.isPlayerAlive(playerId))) {
+            return reject('notPermitted', 'Only a police chief who has died can hand over the badge');
+        }
+        return null;
+    }
+
+    const phaseActions = PHASES[state.phase].actions;
+    if (!(action in phaseActions)) {
+        return reject('wrongPhase', `You cannot ${action} during the ${state.phase} phase`);
+    }
+    if (!state.isPlayerAlive(playerId)) {
+        return reject('actorDead', 'Dead players cannot act');
+    }
+    if (action === 'vote' && state.votes.has(playerId)) {
+        return reject('alreadyActed', 'You have already voted');
+    }
+    if (!phaseActions[action](state, playerId)) {
+        return reject('notPermitted', `You are not allowed to ${action} right now`);
+    }
+    return null;
+}
+
+// Potions are limited, and the rules decide when they may be used
+function checkUses(state, action) {
+    const intents = state.nightIntents;
+    const potions = state.witchPotions;
+
+    if (action === 'witchSave') {
+        if (!potions.antidote) return reject('noUsesLeft', 'The antidote has already been used');
+        if (!state.isWitchSaveAllowed()) return reject('notPermitted', 'The rules do not allow the antidote on this player tonight');
+        if (intents.witchPoison && !state.rules.witchDualPotion) return reject('notPermitted', 'Only one potion may be used per night');
+    }
+
+    if (action === 'witchPoison') {
+        if (!potions.poison) return reject('noUsesLeft', 'The poison has already been used');
+        if (intents.witchSave && !state.rules.witchDualPotion) return reject('notPermitted', 'Only one potion may be used per night');
+    }
+    return null;
+}
+
+function checkTarget(state, playerId, action, target) {
+    if (action === 'chooseSpeakingOrder') {
+        return SPEAKING_DIRECTIONS.includes(target)
+            ? null
+            : reject('invalidTarget', `The speaking order must be one of: ${SPEAKING_DIRECTIONS.join(', ')}`);
+    }
+
+    const rule = TARGET_RULES[action];
+    if (!rule) return null;
+
+    if (target === null || target === undefined) {
+        return rule.optional ? null : reject('targetRequired', `You must choose a player to ${action}`);
+    }
+    if (!state.players.has(target)) {
+        return reject('unknownTarget', `There is no player ${target}`);
+    }
+    if (!state.isPlayerAlive(target)) {
+        return reject('targetDead', `${state.players.get(target).name} is already dead`);
+    }
+
+    const problem = rule.check ? rule.check(state, playerId, target) : null;
+    return problem ? reject('invalidTarget', problem) : null;
+}
+
+// Returns a rejection { code, message }, or null when the player may take the action.
+// The target is a player ID, null for no target, or the direction for chooseSpeakingOrder.
+function validateAction(state, playerId, action, target = null) {
+    if (!isKnownAction(action)) {
+        return reject('unknownAction', `Unknown action: ${action}`);
+    }
+    if (!state.players.has(playerId)) {
+        return reject('unknownPlayer', `Unknown player: ${playerId}`);
+    }
+
+    return checkActor(state, playerId, action)
+        || checkUses(state, action)
+        || checkTarget(state, playerId, action, target);
+}
+
+module.exports = {
+    validateAction
+};
@@ -0,0 +1,96 @@
+// Board presets: each board lists every role dealt at the table, so the
+// number of roles is also the number of seats.
+const BOARD_PRESETS = {
+    '6-simple': [
+        'werewolf', 'werewolf',
+        'seer', 'witch',
+        'villager', 'villager'
+    ],
+    '9-standard': [
+        'werewolf', 'werewolf', 'werewolf',
+        'seer', 'witch', 'hunter',
+        'villager', 'villager', 'villager'
+    ],
+    '12-guard-idiot': [
+        'werewolf', 'werewolf', 'werewolf', 'werewolf',
+        'seer', 'witch', 'guard', 'idiot',
+        'villager', 'villager', 'villager', 'villager'
+    ],
+    '12-wolf-king': [
+        'wolfKing', 'werewolf', 'werewolf', 'werewolf',
+        'seer', 'witch', 'hunter', 'guard',
+        'villager', 'villager', 'villager', 'villager'
+    ]
+};
+
+const VALID_ROLES = ['werewolf', 'wolfKing', 'villager', 'seer', 'witch', 'hunter', 'guard', 'idiot'];
+
+// Roles on the werewolf side: they wake up together and count as werewolves for the win rules
+const WEREWOLF_ROLES = ['werewolf', 'wolfKing'];
+
+// Special roles on the villager side, the "gods" counted by the side-kill win rule
+const GOD_ROLES = ['seer', 'witch', 'hunter', 'guard', 'idiot'];
+
+// Roles that may appear at most once on a board
+const UNIQUE_ROLES = ['seer', 'witch', 'hunter', 'guard', 'idiot', 'wolfKing'];
+
+const MIN_PLAYERS = 3;
+
+function isWerewolf(role) {
+    return WEREWOLF_ROLES.includes(role);
+}
+
+function validateRoles(roles) {
+    if (!Array.isArray(roles)) {
+        throw new Error('Board roles must be an array of role names');
+    }
+
+    if (roles.length < MIN_PLAYERS) {
+        throw new Error(`A board needs at least ${MIN_PLAYERS} roles`);
+    }
+
+    for (const role of roles) {
+        if (!VALID_ROLES.includes(role)) {
+            throw new Error(`Unknown role on board: ${role}`);
+        }
+    }
+
+    for (const role of UNIQUE_ROLES) {
+        if (roles.filter(r => r === role).length > 1) {
+            throw new Error(`A board can only have one ${role}`);
+        }
+    }
+
+    const numWerewolves = roles.filter(isWerewolf).length;
+    if (numWerewolves === 0) {
+        throw new Error('A board needs at least one werewolf');
+    }
+    if (numWerewolves === roles.length) {
+        throw new Error('A board needs at least one non-werewolf role');
+    }
+
+    return roles;
+}
+
+// Accepts a preset name or a custom list of roles and returns a fresh role list
+function resolveBoard(board) {
+    if (Array.isArray(board)) {
+        return [...validateRoles(board)];
+    }
+
+    const roles = BOARD_PRESETS[board];
+    if (!roles) {
+        throw new Error(`Unknown board preset: ${board}`);
+    }
+    return [...validateRoles(roles)];
+}
+
+module.exports = {
+    BOARD_PRESETS,
+    VALID_ROLES,
+    GOD_ROLES,
+    WEREWOLF_ROLES,
+    isWerewolf,
+    validateRoles,
+    resolveBoard
+};
@@ -0,0 +1,169 @@
+const { resolveRules } = require('./rules');
+const { createRandom } = require('./random');
+const { createNightIntents } = require('./night_resolver');
+
+// Every change to the game state is one of these events, appended to the game's log.
+// applyEvent is the only reducer, used both while the game runs and when it is rebuilt.
+const EVENT_TYPES = [
+    'playerJoined',         // { playerId, seat, name, isAI }
+    'playerRemoved',        // { playerId }
+    'gameConfigured',       // { board, rules, seed }
+    'rolesAssigned',        // { roles: [[playerId, role]] }
+    'phaseChanged',         // { phase, day }
+    'nightActionSubmitted', // { action, value }
+    'nightResolved',        // { deaths: [{ playerId, cause }] }
+    'policeChanged',        // { playerId }
+    'speakQueueChanged',    // { currentSpeaker, queue }
+    'speech',               // { speaker, message, targets }
+    'aiResponse',           // { playerId, response }
+    'votingStarted',        // { candidates, voters }
+    'voteCast',             // { voter, target }
+    'votesCounted',         // { counts, leaders, abstentions, ballots, outcome }
+    'pkStarted',            // { candidates, round }
+    'idiotRevealed',        // { playerId }
+    'lastWordsStarted',     // { playerIds, reason }
+    'playerDied',           // { playerId, cause }
+    'gameEnded'             // { winner, reason, alivePlayers }
+];
+
+function createEvent(seq, type, day, payload) {
+    if (!EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown game event type: ${type}`);
+    }
+
+    return Object.freeze({
+        seq,
+        type,
+        day,
+        timestamp: new Date().toISOString(),
+        payload: Object.freeze(payload)
+    });
+}
+
+function applyEvent(state, event) {
+    const payload = event.payload;
+
+    switch (event.type) {
+        case 'playerJoined':
+            state.players.set(payload.playerId, {
+                id: payload.playerId,
+                seat: payload.seat,
+                isAI: payload.isAI,
+                name: payload.name,
+                isAlive: true,
+                canVote: true,
+                hasSpoken: false
+            });
+            break;
+
+        case 'playerRemoved':
+            state.players.delete(payload.playerId);
+            state.roles.delete(payload.playerId);
+            break;
+
+        case 'gameConfigured':
+            state.board = [...payload.board];
+            state.rules = resolveRules(payload.rules);
+            state.seed = payload.seed;
+            state.random = createRandom(payload.seed);
+            break;
+
+        case 'rolesAssigned':
+            state.roles = new Map(payload.roles);
+            state.gameStarted = true;
+            break;
+
+        case 'phaseChanged':
+            // A new night clears the previous night's intents; the guard's last target is kept
+            if (payload.phase === 'night') {
+                state.lastGuardTarget = state.nightIntents.guardProtect;
+                state.nightIntents = createNightIntents();
+            }
+            state.phase = payload.phase;
+            state.currentDay = payload.day;
+            break;
+
+        case 'nightActionSubmitted':
+            state.nightIntents[payload.action] = payload.value;
+            // Each potion can be used once per game
+            if (payload.action === 'witchSave' && payload.value) state.witchPotions.antidote = false;
+            if (payload.action === 'witchPoison' && payload.value) state.witchPotions.poison = false;
+            break;
+
+        case 'nightResolved':
+            state.lastNightDeaths = payload.deaths.map(death => death.playerId);
+            break;
+
+        case 'policeChanged':
+            state.police = payload.playerId;
+            break;
+
+        case 'speakQueueChanged':
+            state.currentSpeaker = payload.currentSpeaker;
+            state.speakQueue = [...payload.queue];
+            break;
+
+        case 'speech':
+            // Speeches are kept in the log for replay but do not change the state
+            break;
+
+        case 'aiResponse':
+            // So are model responses, which a replay of the game answers its AI prompts with
+            break;
+
+        case 'votingStarted':
+            state.votes.clear();
+            state.voteCandidates = [...payload.candidates];
+            state.voteVoters = [...payload.voters];
+            break;
+
+        case 'voteCast':
+            state.votes.set(payload.voter, payload.target);
+            break;
+
+        case 'votesCounted':
+            state.voteHistory.push({
+                day: event.day,
+                pkRound: state.pkRound,
+                candidates: [...state.voteCandidates],
+                ballots: payload.ballots,
+                abstentions: payload.abstentions
+            });
+            state.votes.clear();
+            if (payload.outcome !== 'pk') {
+                state.pkRound = 0;
+            }
+            break;
+
+        case 'pkStarted':
+            state.pkRound = payload.round;
+            state.voteCandidates = [...payload.candidates];
+            break;
+
+        case 'idiotRevealed':
+            state.players.get(payload.playerId).canVote = false;
+            break;
+
+        case 'lastWordsStarted':
+            state.lastWordsReason = payload.reason;
+            break;
+
+        case 'playerDied': {
+            const player = state.players.get(payload.playerId);
+            player.isAlive = false;
+            state.deadPlayers.add(payload.playerId);
+            state.deathCauses.set(payload.playerId, payload.cause);
+            break;
+        }
+
+        case 'gameEnded':
+            state.result = payload;
+            break;
+    }
+}
+
+module.exports = {
+    EVENT_TYPES,
+    createEvent,
+    applyEvent
+};
@@ -1,49 +1,102 @@
 const GameState = require('./game_state');
 const AICharacter = require('./ai_character');
+const { tallyVotes } = require('./vote_tally');
+const { createRandom } = require('./random');
+const gameStore = require('./game_store');
+const PhaseTimer = require('./phase_timer');
+const HumanInputChannel = require('./human_input');
+const { createToken, tokensMatch } = require('./tokens');
+const { playerViewer, canSee, getVisibleRole } = require('./visibility');
+const { parseIntents, findIntent, findTarget, isWholeCommand } = require('./voice_intents');
 const config = require('../config');
 const { EventEmitter } = require('events');
 
+// How many times an AI may retry a choice the rules reject before it is treated as no action
+const MAX_AI_ATTEMPTS = 3;
+
 class GameManager extends EventEmitter {
-    constructor(connectionHandler) {
+    constructor() {
         super();
         this.state = new GameState();
         this.aiCharacters = new Map();
-        this.connectionHandler = connectionHandler;
+        this.connections = new Map(); // Map of human player ID to the connection they play on
+        this.watchers = new Map(); // Map of spectator and god view connections to their viewer
+        this.sentPhases = new WeakMap(); // The last game_phase message each connection was sent
         this.setupEventHandlers();
-        this.witchPotions = new Map(); // Track witch potions for each witch
+        this.humanInput = new HumanInputChannel(); // Human decisions the game flow is waiting for
+        this.pendingDeathSkills = []; // Death skills (hunter, wolf king) still being resolved
+        this.gameId = null; // Name of the save file for this game
+        this.resumeTokens = new Map(); // Map of human player ID to the secret that takes their seat back
+        this.responseReplay = null; // Recorded model responses the AI answer with when a game is replayed
+        this.timer = new PhaseTimer(); // Time limit for a human player's current speech, vote or action
+        // A player's clock would tell others who is acting, so only they and the god view see it
+        this.timer.on('tick', (tick) => this.sendToClient({ type: 'timer_tick', ...tick }, this.getClockAudience(tick)));
+        this.timer.on('warning', (tick) => this.sendToClient({ type: 'timer_warning', ...tick }, this.getClockAudience(tick)));
+        this.timer.on('cleared', (timer) => this.sendToClient({ type: 'timer_cleared', ...timer }, this.getClockAudience(timer)));
     }
 
     setupEventHandlers() {
         // Game state events
+        this.state.on('phaseChanged', (phase) => this.handlePhaseChanged(phase));
         this.state.on('gameStarted', () => this.handleGameStarted());
         this.state.on('policeElectionStarted', () => this.handlePoliceElectionStarted());
         this.state.on('nightStarted', (day) => this.handleNightStarted(day));
         this.state.on('dayStarted', (day) => this.handleDayStarted(day));
+        this.state.on('guardPhaseStarted', (guard) => this.handleGuardPhase(guard));
         this.state.on('werewolvesPhaseStarted', (werewolves) => this.handleWerewolvesPhase(werewolves));
         this.state.on('seerPhaseStarted', (seer) => this.handleSeerPhase(seer));
         this.state.on('witchPhaseStarted', (witch) => this.handleWitchPhase(witch));
+        this.state.on('deathAnnouncementStarted', (deaths) => this.handleDeathAnnouncement(deaths));
+        this.state.on('policeChanged', (playerId) => this.handlePoliceChanged(playerId));
+        this.state.on('speakingOrderRequested', (police) => this.handleSpeakingOrderRequested(police));
+        this.state.on('discussionStarted', (order) => this.handleDiscussionStarted(order));
         this.state.on('nextSpeaker', (playerId) => this.handleNextSpeaker(playerId));
-        this.state.on('playerDied', (playerId) => this.handlePlayerDied(playerId));
+        this.state.on('votingStarted', (voters, candidates) => this.handleVotingStarted(voters, candidates));
+        this.state.on('vote', (vote) => this.handleVoteCast(vote));
+        this.state.on('votesCounted', (result) => this.handleVotesCounted(result));
+        this.state.on('pkStarted', (candidates) => this.handlePKStarted(candidates));
+        this.state.on('noElimination', (reason) => this.handleNoElimination(reason));
+        this.state.on('lastWordsStarted', (playerIds, reason) => this.handleLastWordsStarted(playerIds, reason));
+        this.state.on('playerDied', (playerId, cause) => this.handlePlayerDied(playerId, cause));
         this.state.on('playerEliminated', (playerId) => this.handlePlayerEliminated(playerId));
+        this.state.on('idiotRevealed', (playerId) => this.handleIdiotRevealed(playerId));
+        this.state.on('werewolfSelfDestructed', (playerId, duringElection) => this.handleWerewolfSelfDestructed(playerId, duringElection));
         this.state.on('gameEnded', (winner) => this.handleGameEnded(winner));
+        this.state.on('nightActionSubmitted', (intent) => this.handleNightActionSubmitted(intent));
     }
 
     async createAICharacter(id, role) {
         const character = new AICharacter(
             id,
-            `Player ${id}`,
+            this.state.players.get(id).name,
             role,
-            this.getRandomPersonality()
+            this.getRandomPersonality(),
+            this.state.random
         );
-        this.aiCharacters.set(id, character);
-        
-        if (role === 'witch') {
-            this.witchPotions.set(id, { antidote: true, poison: true });
+        if (this.responseReplay) {
+            character.responseProvider = this.responseReplay.forPlayer(id);
         }
-        
+        this.addAICharacter(character);
         return character;
     }
 
+    // The god view follows everything the AI characters answer, and the game log keeps it for replays.
+    // Characters ask the phase graph which actions they may take, as the clients do.
+    addAICharacter(character) {
+        this.aiCharacters.set(character.id, character);
+        character.getAllowedActions = () => this.state.getAllowedActions(character.id);
+        character.on('response', ({ prompt, response }) => {
+            this.state.recordAIResponse(character.id, response);
+            this.sendToGods({
+                type: 'ai_output',
+                playerId: character.id,
+                name: character.name,
+                prompt,
+                response
+            });
+        });
+    }
+
     getRandomPersonality() {
         const personalities = [
             "You are cautious and analytical, carefully considering each decision.",
@@ -52,18 +105,56 @@ class GameManager extends EventEmitter {
             "You are observant and quiet, speaking only when you have something important to say.",
             "You are charismatic and persuasive, good at influencing others."
         ];
-        return personalities[Math.floor(Math.random() * personalities.length)];
+        return this.state.random.pick(personalities);
     }
 
-    async startGame(humanPlayerId) {
-        // Add human player
-        this.state.addPlayer(humanPlayerId, false, "Human Player");
-        
-        // Add AI players (minimum 5 players total)
-        const numAIPlayers = Math.max(4, 7 - 1); // -1 for human player
-        for (let i = 0; i < numAIPlayers; i++) {
-            const aiId = `ai_${i + 1}`;
-            this.state.addPlayer(aiId, true);
+    // Seats a human player who plays on the given connection, before the game starts
+    addHumanPlayer(playerId, connection, name = null, seat = null) {
+        if (this.state.gameStarted) {
+            throw new Error('The game has already started');
+        }
+        this.state.addPlayer(playerId, false, name, seat);
+        this.connect(playerId, connection);
+    }
+
+    // Seats an AI player under the lowest free AI ID; returns the ID
+    addAIPlayer(seat = null) {
+        let number = 1;
+        while (this.state.players.has(`ai_${number}`)) number++;
+        const playerId = `ai_${number}`;
+        this.state.addPlayer(playerId, true, null, seat);
+        return playerId;
+    }
+
+    async startGame(options = {}) {
+        if (this.state.gameStarted) {
+            throw new Error('The game has already started');
+        }
+
+        // Resolve the board first so the table is sized from its roles
+        const roles = this.state.setBoard(options.board || config.DEFAULT_BOARD);
+        this.state.setRules(options.rules);
+
+        const humanCount = this.getHumanPlayers().length;
+        const outsideSeat = Array.from(this.state.players.values()).find(player => player.seat > roles.length);
+        if (outsideSeat) {
+            throw new Error(`The board has ${roles.length} seats but ${outsideSeat.name} sits in seat ${outsideSeat.seat}`);
+        }
+
+        // Log the seed so a game that hit a bug can be replayed exactly
+        const seed = this.state.setSeed(options.seed);
+        this.responseReplay = options.responseReplay || null;
+        this.gameId = `game_${new Date().toISOString().replace(/[:.]/g, '-')}`;
+        console.log(`Starting game ${this.gameId} with ${humanCount} humans and seed ${seed}`);
+
+        // Fill the remaining seats with AI players
+        while (this.state.players.size < roles.length) {
+            this.addAIPlayer();
+        }
+
+        // Tokens come before the first save, so that every save can be resumed
+        for (const player of this.getHumanPlayers()) {
+            this.resumeTokens.set(player.id, createToken());
         }
 
         // Start the game
@@ -73,8 +164,8 @@ class GameManager extends EventEmitter {
     async handleGameStarted() {
         // Create AI characters with their assigned roles
         for (const [playerId, player] of this.state.players) {
+            const role = this.state.getPlayerRole(playerId);
             if (player.isAI) {
-                const role = this.state.getPlayerRole(playerId);
                 await this.createAICharacter(playerId, role);
             }
         }
@@ -82,17 +173,244 @@ class GameManager extends EventEmitter {
         // Announce game start and roles
         await this.speak("Moderator", "Game has started! I will now privately tell each player their role.");
         
-        // Tell each player their role
+        // Tell each player their role, and each human the token that lets them resume their seat
         for (const [playerId, player] of this.state.players) {
             const role = this.state.getPlayerRole(playerId);
             const message = `You are ${player.name}. Your role is ${role}.`;
             await this.speak("Moderator", message, [playerId]);
+            if (!player.isAI) {
+                this.sendToPlayer(playerId, this.createPlayerRoleMessage(playerId));
+            }
+        }
+
+        for (const { viewer, connection } of this.getViewers()) {
+            connection.ws.send(JSON.stringify(this.createGameStartedMessage(viewer)));
+        }
+        this.sendToGods(this.createRolesMessage());
+        this.state.startPoliceElection();
+    }
+
+    handlePhaseChanged(phase) {
+        // Speech and vote clocks belong to the phase that started them
+        this.timer.clear('speech');
+        this.timer.clear('vote');
+        // So are the answers the game was waiting for; the waiting flows go on without them
+        this.humanInput.cancelAll();
+
+        // Each client offers only the actions the phase graph allows its own player.
+        // A client whose view did not change hears nothing, so hidden night steps stay silent.
+        for (const { viewer, connection } of this.getViewers()) {
+            const data = JSON.stringify(this.createPhaseMessage(viewer));
+            if (this.sentPhases.get(connection) === data) continue;
+
+            this.sentPhases.set(connection, data);
+            connection.ws.send(data);
+        }
+
+        // Save once the new phase has been set up, so a restart resumes from here
+        setImmediate(() => this.saveGame());
+    }
+
+    // The seed deals the roles from the public board, so only the god view learns it before the end
+    createGameStartedMessage(viewer) {
+        return { type: 'game_started', seed: viewer.kind === 'god' ? this.state.seed : null };
+    }
+
+    sendPhase(connection, viewer) {
+        const data = JSON.stringify(this.createPhaseMessage(viewer));
+        this.sentPhases.set(connection, data);
+        connection.ws.send(data);
+    }
+
+    // Watchers, who have no player, are offered no actions.
+    // Night steps are shown only to the players acting in them and to the god view; everyone
+    // else sees a single night phase, so a skipped step does not tell them its role is dead.
+    createPhaseMessage(viewer) {
+        const actions = viewer.kind === 'player' ? this.state.getAllowedActions(viewer.playerId) : [];
+        const hidesStep = this.state.isNight && viewer.kind !== 'god' && actions.length === 0;
+        return {
+            type: 'game_phase',
+            phase: hidesStep ? 'night' : this.state.phase,
+            day: this.state.currentDay,
+            actions
+        };
+    }
+
+    createPlayerRoleMessage(playerId) {
+        return {
+            type: 'player_role',
+            playerId,
+            role: this.state.getPlayerRole(playerId),
+            gameId: this.gameId,
+            resumeToken: this.resumeTokens.get(playerId) ?? null
+        };
+    }
+
+    createRolesMessage() {
+        return {
+            type: 'roles',
+            roles: Array.from(this.state.players.values()).map(player => ({
+                playerId: player.id,
+                seat: player.seat,
+                name: player.name,
+                role: this.state.getPlayerRole(player.id)
+            }))
+        };
+    }
+
+    handleNightActionSubmitted({ action, value }) {
+        this.sendToGods({
+            type: 'night_action',
+            day: this.state.currentDay,
+            action,
+            value,
+            targetName: this.state.players.get(value)?.name ?? null
+        });
+    }
+
+    createSnapshot() {
+        return {
+            gameId: this.gameId,
+            savedAt: new Date().toISOString(),
+            finished: this.state.isGameOver(),
+            phase: this.state.phase,
+            day: this.state.currentDay,
+            playerCount: this.state.players.size,
+            humanCount: this.getHumanPlayers().length,
+            randomPosition: this.state.random.getPosition(),
+            events: this.state.getEventLog(),
+            resumeTokens: Object.fromEntries(this.resumeTokens),
+            aiCharacters: Array.from(this.aiCharacters.entries())
+                .map(([id, character]) => ({ id, ...character.getMemory() }))
+        };
+    }
+
+    saveGame() {
+        if (!this.gameId) return;
+        try {
+            gameStore.saveGame(this.createSnapshot());
+        } catch (error) {
+            console.error('Error saving game:', error);
         }
     }
 
+    // Restores a saved game and continues it from the start of the phase it was saved in.
+    // The connection takes back the seat its resume token was issued for; returns that player's ID.
+    async resumeGame(gameId, connection, resumeToken) {
+        const snapshot = gameStore.loadGame(gameId);
+        if (snapshot.finished) {
+            throw new Error(`Game ${gameId} has already ended`);
+        }
+
+        this.state.removeAllListeners();
+        this.state = GameState.fromEvents(snapshot.events);
+        this.state.random = createRandom(this.state.seed, snapshot.randomPosition);
+        this.setupEventHandlers();
+
+        // The seats are known once the state is rebuilt
+        this.resumeTokens = new Map(Object.entries(snapshot.resumeTokens || {}));
+        if (!this.findSeatByResumeToken(resumeToken)) {
+            throw new Error(`Your resume token does not match a seat in game ${gameId}`);
+        }
+
+        this.gameId = snapshot.gameId;
+        this.aiCharacters = new Map();
+        for (const memory of snapshot.aiCharacters) {
+            // Built directly so restoring does not draw new personalities from the seed
+            const character = new AICharacter(
+                memory.id,
+                this.state.players.get(memory.id).name,
+                this.state.getPlayerRole(memory.id),
+                memory.personality,
+                this.state.random
+            );
+            character.restoreMemory(memory);
+            this.addAICharacter(character);
+        }
+        console.log(`Resuming game ${this.gameId} on day ${this.state.currentDay} in phase ${this.state.phase}`);
+
+        const playerId = await this.claimSeat(connection, resumeToken);
+        this.state.resumePhase();
+        return playerId;
+    }
+
+    findSeatByResumeToken(resumeToken) {
+        return this.getHumanPlayers()
+            .find(player => this.resumeTokens.has(player.id) && tokensMatch(resumeToken, this.resumeTokens.get(player.id))) || null;
+    }
+
+    // Gives a connection back the human seat its resume token was issued for, in a started game.
+    // Returns the player's ID.
+    async claimSeat(connection, resumeToken) {
+        const seat = this.findSeatByResumeToken(resumeToken);
+        if (!seat) {
+            throw new Error('Your resume token does not match a seat in this game');
+        }
+        if (this.connections.has(seat.id)) {
+            throw new Error(`${seat.name} is already being played`);
+        }
+
+        this.connect(seat.id, connection);
+
+        // Bring the client to where the game stands
+        this.sendToPlayer(seat.id, this.createGameStartedMessage(playerViewer(seat.id)));
+        this.sendToPlayer(seat.id, this.createPlayerRoleMessage(seat.id));
+        if (this.state.police) {
+            this.sendToPlayer(seat.id, this.createPoliceMessage(this.state.police));
+        }
+        this.sendPhase(connection, playerViewer(seat.id));
+        await this.speak("Moderator", `You have joined the game. You are ${seat.name}.`, [seat.id]);
+        return seat.id;
+    }
+
+    connect(playerId, connection) {
+        this.connections.set(playerId, connection);
+    }
+
+    // The seat of a human who left stays in the game; their turns run out on the clock
+    disconnect(playerId) {
+        this.connections.delete(playerId);
+    }
+
+    // Spectators and the god view watch the game without a seat, so the game state never counts them
+    addWatcher(connection, viewer) {
+        this.watchers.set(connection, viewer);
+        if (!this.state.gameStarted) return;
+
+        // Bring the watcher to where the game stands
+        const send = (message) => connection.ws.send(JSON.stringify(message));
+        send(this.createGameStartedMessage(viewer));
+        if (this.state.police) {
+            send(this.createPoliceMessage(this.state.police));
+        }
+        this.sendPhase(connection, viewer);
+        if (viewer.kind === 'god') {
+            send(this.createRolesMessage());
+        }
+    }
+
+    removeWatcher(connection) {
+        this.watchers.delete(connection);
+    }
+
+    // Stops the game flow once nobody is connected; the saved game can still be resumed
+    stop() {
+        this.timer.clear();
+        this.state.removeAllListeners();
+    }
+
+    getHumanPlayers() {
+        return Array.from(this.state.players.values()).filter(player => !player.isAI);
+    }
+
     async handlePoliceElectionStarted() {
         await this.speak("Moderator", "It's time to elect a police chief. Each player will have a chance to nominate themselves.");
         await this.processPoliceNominations();
+
+        // A werewolf self-destruct interrupts the election and moves the game to night itself
+        if (this.state.phase === 'policeElection') {
+            this.state.startNight();
+        }
     }
 
     async processPoliceNominations() {
@@ -101,27 +419,38 @@ class GameManager extends EventEmitter {
 
         // Ask each living player if they want to nominate themselves
         for (const [playerId, player] of livingPlayers) {
+            if (this.state.phase !== 'policeElection') return;
+
+            let nominates;
             if (player.isAI) {
                 // AI players have a 50% chance to nominate themselves
-                if (Math.random() > 0.5) {
-                    nominations.set(playerId, player);
-                    await this.speak("Moderator", `${player.name} has nominated themselves for police chief.`);
-                } else {
-                    await this.speak("Moderator", `${player.name} declines to nominate themselves.`);
-                }
+                nominates = this.state.random.chance(0.5);
             } else {
-                // For human players, we'll wait for their input
                 await this.speak("Moderator", `${player.name}, would you like to nominate yourself for police chief? Please say 'yes' or 'no'.`);
-                // The actual nomination will be handled by the human input handler
-                // We'll give them 30 seconds to respond
-                await new Promise(resolve => setTimeout(resolve, 30000));
+                // Anything but a yes or no is left to the usual input handling; silence is a no
+                nominates = await this.awaitHumanInput(playerId, 'nominate', {
+                    accept: (reply) => {
+                        const answer = findIntent(this.recognizeIntents(String(reply)), 'yes', 'no', 'pass');
+                        return answer ? answer.type === 'yes' : undefined;
+                    }
+                });
+                if (this.state.phase !== 'policeElection') return;
+            }
+
+            if (nominates) {
+                nominations.set(playerId, player);
+                await this.speak("Moderator", `${player.name} has nominated themselves for police chief.`);
+            } else {
+                await this.speak("Moderator", `${player.name} declines to nominate themselves.`);
             }
         }
 
+        if (this.state.phase !== 'policeElection') return;
+
         // If no nominations, randomly select a police chief
         if (nominations.size === 0) {
-            const randomPlayer = Array.from(livingPlayers.entries())[Math.floor(Math.random() * livingPlayers.size)];
-            this.state.policeChief = randomPlayer[0];
+            const randomPlayer = this.state.random.pick(Array.from(livingPlayers.entries()));
+            this.state.setPolice(randomPlayer[0]);
             await this.speak("Moderator", `Since no one nominated themselves, ${randomPlayer[1].name} has been randomly selected as police chief.`);
             return;
         }
@@ -129,207 +458,666 @@ class GameManager extends EventEmitter {
         // If only one nomination, they become police chief
         if (nominations.size === 1) {
             const [nomineeId, nominee] = nominations.entries().next().value;
-            this.state.policeChief = nomineeId;
+            this.state.setPolice(nomineeId);
             await this.speak("Moderator", `${nominee.name} is the only nominee and becomes police chief by default.`);
             return;
         }
 
         // If multiple nominations, hold a vote
         await this.speak("Moderator", "Multiple players have nominated themselves. We will now hold a vote.");
-        const votes = new Map();
-        for (const [voterId, voter] of livingPlayers) {
-            if (voter.isAI) {
-                // AI players randomly vote for one of the nominees
-                const nominees = Array.from(nominations.entries());
-                const randomNominee = nominees[Math.floor(Math.random() * nominees.length)];
-                votes.set(voterId, randomNominee[0]);
-                await this.speak("Moderator", `${voter.name} has cast their vote.`);
-            } else {
-                // For human players, list the nominees and wait for their vote
-                const nomineeList = Array.from(nominations.values()).map(p => p.name).join(", ");
-                await this.speak("Moderator", `${voter.name}, please vote for one of the following players: ${nomineeList}`);
-                // The actual vote will be handled by the human input handler
-                // We'll give them 30 seconds to vote
-                await new Promise(resolve => setTimeout(resolve, 30000));
+        let candidates = Array.from(nominations.keys());
+        let voters = Array.from(livingPlayers.keys());
+        let pkRound = 0;
+
+        while (true) {
+            const votes = new Map();
+            for (const voterId of voters) {
+                if (this.state.phase !== 'policeElection') return;
+
+                const voter = livingPlayers.get(voterId);
+                if (voter.isAI) {
+                    // AI players randomly vote for one of the candidates
+                    const randomCandidate = this.state.random.pick(candidates);
+                    votes.set(voterId, randomCandidate);
+                    await this.speak("Moderator", `${voter.name} has cast their vote.`);
+                } else {
+                    // For human players, list the candidates and wait for their vote
+                    const candidateList = candidates.map(id => livingPlayers.get(id))
+                        .map(candidate => `${candidate.seat} (${candidate.name})`).join(", ");
+                    await this.speak("Moderator", `${voter.name}, please vote for one of the following players: ${candidateList}. Say the seat number, or say abstain.`);
+                    const choice = await this.awaitHumanInput(voterId, 'policeVote', {
+                        accept: (reply) => this.parsePoliceVote(reply, candidates)
+                    });
+                    if (this.state.phase !== 'policeElection') return;
+
+                    if (choice) {
+                        votes.set(voterId, choice);
+                        await this.speak("Moderator", `${voter.name} has cast their vote.`);
+                    } else {
+                        await this.speak("Moderator", `${voter.name} abstains.`);
+                    }
+                }
+            }
+
+            if (this.state.phase !== 'policeElection') return;
+
+            const { leaders } = tallyVotes(votes);
+
+            if (leaders.length === 1) {
+                this.state.setPolice(leaders[0]);
+                await this.speak("Moderator", `${livingPlayers.get(leaders[0]).name} has been elected as police chief.`);
+                return;
+            }
+
+            if (leaders.length > 1 && pkRound < this.state.rules.pkRounds) {
+                // Tied candidates face a PK vote by everyone else
+                pkRound++;
+                candidates = leaders;
+                voters = Array.from(livingPlayers.keys()).filter(id => !candidates.includes(id));
+                const tiedNames = candidates.map(id => livingPlayers.get(id).name).join(", ");
+                await this.speak("Moderator", `The police election is tied between ${tiedNames}. The other players will vote again.`);
+                continue;
             }
+
+            await this.speak("Moderator", "The police election ended without a winner. There is no police chief.");
+            return;
         }
+    }
 
-        // Count votes and determine winner
-        const voteCounts = new Map();
-        for (const vote of votes.values()) {
-            voteCounts.set(vote, (voteCounts.get(vote) || 0) + 1);
+    // A human's police vote names a candidate, by voice or in a night_action message, or abstains.
+    // Returns the candidate's ID, null to abstain, or undefined when the reply is neither.
+    parsePoliceVote(reply, candidates) {
+        if (typeof reply !== 'string') {
+            const targetId = this.seatToTarget(reply.target);
+            return targetId === null || candidates.includes(targetId) ? targetId : undefined;
         }
 
-        let maxVotes = 0;
-        let winner = null;
-        for (const [nomineeId, voteCount] of voteCounts) {
-            if (voteCount > maxVotes) {
-                maxVotes = voteCount;
-                winner = nomineeId;
-            }
+        const intents = this.recognizeIntents(reply);
+        if (findIntent(intents, 'pass')) return null;
+        const targetId = this.seatToTarget(findTarget(intents, 'vote')?.seat);
+        return candidates.includes(targetId) ? targetId : undefined;
+    }
+
+    handlePoliceChanged(playerId) {
+        this.sendToClient(this.createPoliceMessage(playerId));
+    }
+
+    createPoliceMessage(playerId) {
+        return {
+            type: 'police_changed',
+            police: playerId,
+            name: playerId ? this.state.players.get(playerId).name : null
+        };
+    }
+
+    async handleSpeakingOrderRequested(police) {
+        const player = this.state.players.get(police);
+        let direction = 'clockwise';
+
+        if (player.isAI) {
+            direction = await this.getValidAIChoice(police, 'chooseSpeakingOrder', (character) =>
+                character.makeSpeakingOrderDecision(this.getGameContext())
+            ) || direction;
+        } else {
+            await this.speak("Moderator", `${player.name}, as police chief, choose the speaking order: say clockwise or counterclockwise.`);
+            direction = await this.getValidHumanChoice(police, 'chooseSpeakingOrder', (reply) => {
+                if (/counter|anti|逆/i.test(reply)) return 'counterclockwise';
+                return /clockwise|顺/i.test(reply) ? 'clockwise' : undefined;
+            }) || direction;
+        }
+
+        // A werewolf may have self-destructed while the police chief was choosing
+        if (this.state.phase !== 'speakingOrder') return;
+
+        await this.speak("Moderator", `The police chief chose ${direction} speaking order.`);
+        this.state.startDiscussion(direction);
+    }
+
+    // The police chief passes the badge to a living player or tears it up when they die
+    async handleBadgeHandover(deadId) {
+        if (deadId !== this.state.police || this.state.isGameOver()) return;
+
+        const player = this.state.players.get(deadId);
+        const targets = this.getLivingPlayerList();
+        let successor = null;
+
+        if (player.isAI) {
+            successor = await this.getValidAIChoice(deadId, 'handOverBadge', async (character) =>
+                this.seatToTarget(await character.makeBadgeTransferDecision(
+                    this.formatPlayerList(targets),
+                    this.getGameContext()
+                ))
+            );
+        } else {
+            await this.speak("Moderator", `${player.name}, you held the police badge. Say the seat number of the player who should receive it, or say tear to destroy it.`);
+            successor = await this.getValidHumanChoice(deadId, 'handOverBadge', (reply) =>
+                /tear|撕/i.test(reply) ? null : this.parseTargetReply(reply, 'handOverBadge')
+            );
         }
 
-        this.state.policeChief = winner;
-        await this.speak("Moderator", `${livingPlayers.get(winner).name} has been elected as police chief.`);
+        this.state.setPolice(successor);
+        if (successor) {
+            await this.speak("Moderator", `${player.name} passed the police badge to ${this.state.players.get(successor).name}.`);
+        } else {
+            await this.speak("Moderator", `${player.name} tore up the police badge. There is no police chief anymore.`);
+        }
     }
 
     async handleNightStarted(day) {
         await this.speak("Moderator", `Night ${day} has fallen. Everyone close your eyes.`);
-        // Night phases will be handled by specific event handlers
+        this.state.processGuard();
     }
 
     async handleDayStarted(day) {
         await this.speak("Moderator", `Day ${day} has begun. Everyone open your eyes.`);
-        // Process any deaths from the night
-        if (this.state.deadPlayers.size > 0) {
-            const deadPlayers = Array.from(this.state.deadPlayers)
+        this.state.announceDeaths();
+    }
+
+    async handleDeathAnnouncement(deaths) {
+        if (deaths.length > 0) {
+            const deadPlayers = deaths
                 .map(id => this.state.players.get(id).name)
                 .join(", ");
             await this.speak("Moderator", `Last night, ${deadPlayers} were killed.`);
         } else {
             await this.speak("Moderator", "No one died last night.");
         }
+
+        await this.settleDeathSkills();
+        if (this.state.isGameOver()) return;
+
+        for (const playerId of deaths) {
+            await this.handleBadgeHandover(playerId);
+        }
+
+        // Day 2 follows the first night, whose victims may get last words
+        const isFirstNight = this.state.currentDay === 2;
+        if (deaths.length > 0 && isFirstNight && this.state.rules.firstNightLastWords) {
+            this.state.startLastWords(deaths, 'night');
+        } else {
+            this.state.requestSpeakingOrder();
+        }
+    }
+
+    async handleDiscussionStarted(order) {
+        const names = order.map(id => this.state.players.get(id).name).join(", ");
+        await this.speak("Moderator", `The discussion begins. Speaking order: ${names}.`);
+    }
+
+    async handleGuardPhase(guardId) {
+        const player = this.state.players.get(guardId);
+        const lastTarget = this.state.lastGuardTarget;
+        const targets = this.getLivingPlayerList()
+            .filter(p => p.id !== lastTarget);
+
+        await this.speak("Moderator", "Guard, open your eyes and choose a player to protect tonight.", [guardId]);
+
+        let protectedId = null;
+        if (player.isAI) {
+            protectedId = await this.getValidAIChoice(guardId, 'guardProtect', async (character) =>
+                this.seatToTarget(await character.makeGuardDecision(
+                    this.formatPlayerList(targets),
+                    lastTarget ? this.state.players.get(lastTarget).name : null,
+                    this.getGameContext()
+                ))
+            );
+        } else {
+            const lastTargetNote = lastTarget
+                ? ` You cannot protect ${this.state.players.get(lastTarget).name} again tonight.`
+                : '';
+            await this.speak("Moderator", `Say the seat number of the player to protect, or say nobody.${lastTargetNote}`, [guardId]);
+            protectedId = await this.getHumanNightChoice(guardId, 'guardProtect', targets, { canSkip: true });
+        }
+
+        this.state.submitNightAction(guardId, 'guardProtect', protectedId);
+        await this.speak("Moderator", "Guard, close your eyes.", [guardId]);
+        this.state.processWerewolves();
     }
 
     async handleWerewolvesPhase(werewolves) {
         await this.speak("Moderator", "Werewolves, open your eyes and choose your victim.", werewolves);
         
-        // Get votes from each werewolf
+        const targets = this.getLivingPlayerList()
+            .filter(p => !werewolves.includes(p.id));
+        const proposals = await this.holdWerewolfDiscussion(werewolves, targets);
+        if (this.state.phase !== 'nightWerewolves') return;
+
+        // Then each werewolf confirms the kill they back
         const votes = new Map();
         for (const werewolfId of werewolves) {
-            const character = this.aiCharacters.get(werewolfId);
-            if (character) {
-                const livingPlayers = this.getLivingPlayers()
-                    .filter(p => !werewolves.includes(p.id));
-                const target = await character.makeWerewolfKillDecision(
-                    livingPlayers.map(p => p.name),
-                    this.getGameContext()
+            let targetId = null;
+            if (this.state.players.get(werewolfId).isAI) {
+                targetId = await this.getValidAIChoice(werewolfId, 'wolfKill', async (character) =>
+                    this.seatToTarget(await character.makeWerewolfKillDecision(
+                        this.formatPlayerList(targets),
+                        this.getGameContext()
+                    ))
                 );
-                if (target) votes.set(werewolfId, target);
+            } else {
+                await this.speak("Moderator", "Say the seat number of the player to kill, or say nobody.", [werewolfId]);
+                targetId = await this.getHumanNightChoice(werewolfId, 'wolfKill', targets, { canSkip: true });
+            }
+            if (targetId) {
+                votes.set(werewolfId, targetId);
+                if (werewolves.length > 1) {
+                    const names = [werewolfId, targetId].map(id => this.state.players.get(id).name);
+                    await this.speak("Moderator", `${names[0]} backs killing ${names[1]}.`, werewolves);
+                }
             }
         }
 
-        // Process werewolf votes
-        const voteCounts = new Map();
-        for (const target of votes.values()) {
-            voteCounts.set(target, (voteCounts.get(target) || 0) + 1);
+        // The team kills the target most werewolves back. A tie goes to the tied target proposed
+        // first in the discussion, or else to the choice of the first werewolf who backed a tied target.
+        const { leaders } = tallyVotes(votes);
+        let victim = leaders.length === 1 ? leaders[0] : null;
+        if (leaders.length > 1) {
+            victim = proposals.find(target => leaders.includes(target))
+                ?? Array.from(votes.values()).find(target => leaders.includes(target));
+        }
+
+        if (victim) {
+            const [wolfId] = Array.from(votes.entries()).find(([, target]) => target === victim);
+            this.state.submitNightAction(wolfId, 'wolfKill', victim);
+            await this.speak("Moderator", `The werewolves have agreed to kill ${this.state.players.get(victim).name}.`, werewolves);
+        } else {
+            await this.speak("Moderator", "The werewolves kill no one tonight.", werewolves);
         }
 
-        // Find the target with most votes
-        let maxVotes = 0;
-        let victim = null;
-        for (const [target, count] of voteCounts) {
-            if (count > maxVotes) {
-                maxVotes = count;
-                victim = target;
+        this.state.processSeer();
+    }
+
+    // The werewolves take turns proposing and debating a target, heard only by each other.
+    // Returns the targets they proposed, in the order each was first named.
+    async holdWerewolfDiscussion(werewolves, targets) {
+        const proposals = [];
+        if (werewolves.length < 2) return proposals;
+
+        for (let round = 0; round < this.state.rules.wolfChatRounds; round++) {
+            for (const werewolfId of werewolves) {
+                if (this.state.phase !== 'nightWerewolves') return proposals;
+
+                const message = await this.getWerewolfChatMessage(werewolfId, werewolves, targets);
+                if (!message) continue;
+
+                await this.speak(werewolfId, message, werewolves);
+                const targetId = this.seatToTarget(this.parseSeat(message, 'wolfKill'));
+                if (targets.some(p => p.id === targetId) && !proposals.includes(targetId)) {
+                    proposals.push(targetId);
+                }
             }
         }
+        return proposals;
+    }
 
-        if (victim) {
-            this.state.killPlayer(victim);
-            await this.speak("Moderator", "The werewolves have made their choice.", werewolves);
+    // An AI werewolf's turn comes from the LLM; a human werewolf speaks within the speech time limit
+    async getWerewolfChatMessage(werewolfId, werewolves, targets) {
+        const player = this.state.players.get(werewolfId);
+        if (player.isAI) {
+            const teammates = werewolves
+                .filter(id => id !== werewolfId)
+                .map(id => this.state.players.get(id));
+            const character = this.aiCharacters.get(werewolfId);
+            return character ? character.makeWerewolfChatMessage(
+                this.formatPlayerList(targets),
+                this.formatPlayerList(teammates),
+                this.getGameContext()
+            ) : null;
         }
+
+        await this.speak("Moderator", `${player.name}, propose a victim or answer your teammates. Only the werewolves can hear you. Say pass to stay silent.`, [werewolfId]);
+        const reply = await this.awaitHumanInput(werewolfId, 'wolfChat', {
+            seconds: this.state.rules.speechSeconds,
+            timerName: 'speech',
+            accept: (input) => typeof input === 'string' ? input : undefined
+        });
+        if (!reply) return null;
+
+        const intents = this.recognizeIntents(reply);
+        return intents.length === 1 && findIntent(intents, 'pass') ? null : reply;
     }
 
     async handleSeerPhase(seerId) {
-        const character = this.aiCharacters.get(seerId);
-        if (!character) return;
+        const player = this.state.players.get(seerId);
+        if (player) {
+            await this.speak("Moderator", "Seer, open your eyes and choose a player to investigate.", [seerId]);
+            
+            const targets = this.getLivingPlayerList()
+                .filter(p => p.id !== seerId);
+            let targetId = null;
+            if (player.isAI) {
+                targetId = await this.getValidAIChoice(seerId, 'seerCheck', async (character) =>
+                    this.seatToTarget(await character.makeSeerCheckDecision(
+                        this.formatPlayerList(targets),
+                        this.getGameContext()
+                    ))
+                );
+            } else {
+                await this.speak("Moderator", "Say the seat number of the player to investigate.", [seerId]);
+                targetId = await this.getHumanNightChoice(seerId, 'seerCheck', targets, { canSkip: true });
+            }
 
-        await this.speak("Moderator", "Seer, open your eyes and choose a player to investigate.", [seerId]);
-        
-        const livingPlayers = this.getLivingPlayers()
-            .filter(p => p.id !== seerId);
-        const target = await character.makeSeerCheckDecision(
-            livingPlayers.map(p => p.name),
-            this.getGameContext()
-        );
+            if (targetId) {
+                this.state.submitNightAction(seerId, 'seerCheck', targetId);
+                const targetName = this.state.players.get(targetId).name;
+                const targetRole = this.state.getPlayerRole(targetId);
+                this.aiCharacters.get(seerId)?.addKnownInformation(
+                    `${targetName} Role`,
+                    targetRole
+                );
+                await this.speak("Moderator", `${targetName} is a ${targetRole}.`, [seerId]);
+            }
 
-        if (target) {
-            const targetRole = this.state.getPlayerRole(target);
-            character.addKnownInformation(
-                `Player ${target} Role`,
-                targetRole
-            );
-            await this.speak("Moderator", `Player ${target} is a ${targetRole}.`, [seerId]);
+            await this.speak("Moderator", "Seer, close your eyes.", [seerId]);
         }
 
-        await this.speak("Moderator", "Seer, close your eyes.", [seerId]);
+        this.state.processWitch();
     }
 
     async handleWitchPhase(witchId) {
-        const character = this.aiCharacters.get(witchId);
-        if (!character) return;
-
-        const potions = this.witchPotions.get(witchId);
-        if (!potions) return;
-
-        await this.speak("Moderator", "Witch, open your eyes.", [witchId]);
-
-        // Handle antidote
-        if (potions.antidote && this.state.deadPlayers.size > 0) {
-            const killedPlayer = Array.from(this.state.deadPlayers)[0];
-            const livingPlayers = this.getLivingPlayers();
-            const decision = await character.makeWitchDecision(
-                killedPlayer,
-                true,
-                potions.poison,
-                livingPlayers.map(p => p.name),
-                this.getGameContext()
-            );
+        const player = this.state.players.get(witchId);
+
+        if (player) {
+            await this.speak("Moderator", "Witch, open your eyes.", [witchId]);
+
+            // The rules decide which potions the witch may use and whether she sees the victim
+            const options = this.state.getWitchOptions();
+            if (options.canSave || options.canPoison) {
+                const targets = this.getLivingPlayerList();
+                const victimName = options.victim ? this.state.players.get(options.victim).name : null;
+
+                if (player.isAI) {
+                    // Each potion is its own choice, asked again when the rules reject it
+                    let saved = false;
+                    if (options.canSave) {
+                        const antidote = await this.getValidAIChoice(witchId, 'witchSave',
+                            async (character) => await character.makeWitchSaveDecision(victimName) || null,
+                            { canDecline: true }
+                        );
+                        if (antidote === true) {
+                            saved = await this.submitWitchAction(player, 'witchSave', true, "The witch has used the antidote.");
+                        }
+                    }
+                    // Without dual potion use, a witch who saved someone cannot also poison tonight
+                    if (options.canPoison && (options.canUseBoth || !saved)) {
+                        const poisonTarget = await this.getValidAIChoice(witchId, 'witchPoison',
+                            async (character) => this.seatToTarget(await character.makeWitchPoisonDecision(this.formatPlayerList(targets))),
+                            { canDecline: true }
+                        );
+                        if (poisonTarget) {
+                            await this.submitWitchAction(player, 'witchPoison', poisonTarget, "The witch has used the poison.");
+                        }
+                    }
+                } else {
+                    const victimNote = victimName
+                        ? `${victimName} was attacked tonight.`
+                        : 'You are not told who was attacked tonight.';
+                    const choices = [];
+                    if (options.canSave) choices.push('say save to use the antidote');
+                    if (options.canPoison) choices.push('say poison and a seat number to use the poison');
+                    await this.speak("Moderator", `${victimNote} You may ${choices.join(', or ')}. Say pass to do nothing.`, [witchId]);
 
-            if (decision.save) {
-                this.state.deadPlayers.delete(killedPlayer);
-                potions.antidote = false;
-                await this.speak("Moderator", "The witch has used the antidote.", [witchId]);
+                    // A night_action answer names the seat to poison as its target
+                    this.requestNightAction(witchId, 'witch', options.canPoison ? targets : [], {
+                        victim: options.victim ? this.createTargetEntry(this.state.players.get(options.victim)) : null,
+                        canSave: options.canSave,
+                        canPoison: options.canPoison,
+                        canUseBoth: options.canUseBoth,
+                        canSkip: true
+                    });
+                    await this.getHumanWitchChoice(player);
+                }
             }
 
-            if (decision.kill && potions.poison) {
-                this.state.killPlayer(decision.kill);
-                potions.poison = false;
-                await this.speak("Moderator", "The witch has used the poison.", [witchId]);
+            await this.speak("Moderator", "Witch, close your eyes.", [witchId]);
+        }
+
+        this.state.startDay();
+    }
+
+    // Ask a human witch until each potion she names is one the rules allow.
+    // A potion is used as soon as it is allowed, so a retry only needs the rejected one.
+    async getHumanWitchChoice(player) {
+        let saved = false;
+        while (true) {
+            const decision = await this.awaitHumanInput(player.id, 'witch', {
+                accept: (reply) => this.parseWitchReply(reply)
+            });
+            if (decision === null) return;
+
+            const potions = [];
+            if (decision.save && !saved) potions.push(['witchSave', true, "The witch has used the antidote."]);
+            if (decision.kill) potions.push(['witchPoison', decision.kill, "The witch has used the poison."]);
+
+            let rejection = null;
+            for (const [action, value, announcement] of potions) {
+                rejection = this.state.validateAction(player.id, action, value);
+                if (rejection) break;
+
+                await this.submitWitchAction(player, action, value, announcement);
+                if (action === 'witchSave') saved = true;
             }
+            if (!rejection) return;
+
+            // The client offers the witch step again when it is the rejected action
+            await this.rejectHumanAction(player.id, 'witch', rejection);
         }
+    }
 
-        await this.speak("Moderator", "Witch, close your eyes.", [witchId]);
+    // Returns whether the potion was used
+    async submitWitchAction(player, action, value, announcement) {
+        const rejection = this.state.submitNightAction(player.id, action, value);
+        if (!rejection) {
+            await this.speak("Moderator", announcement, [player.id]);
+        } else if (!player.isAI) {
+            await this.rejectHumanAction(player.id, action, rejection);
+        }
+        return !rejection;
     }
 
     async handleNextSpeaker(playerId) {
         const player = this.state.players.get(playerId);
         if (!player) return;
 
+        if (this.state.phase === 'lastWords') {
+            await this.handleLastWordsSpeaker(player);
+            return;
+        }
+
+        await this.speak("Moderator", `${player.name}, it's your turn to speak.`);
+
         if (player.isAI) {
             const character = this.aiCharacters.get(playerId);
+
+            // A cornered AI werewolf may self-destruct instead of speaking
+            const canSelfDestruct = this.state.getAllowedActions(playerId).includes('selfDestruct');
+            if (character && canSelfDestruct && await character.makeSelfDestructDecision(this.getGameContext())) {
+                this.state.selfDestruct(playerId);
+                return;
+            }
+
             if (character) {
-                const response = await character.generateResponse(
-                    "It's your turn to speak. Share your thoughts about who might be a werewolf."
-                );
+                const prompt = this.state.phase === 'pk'
+                    ? "You are tied in the vote and this is your PK speech. Convince the other players not to exile you."
+                    : "It's your turn to speak. Share your thoughts about who might be a werewolf.";
+                const response = await character.generateResponse(prompt);
                 await this.speak(playerId, response);
             }
+            this.state.finishSpeech(playerId);
+            return;
+        }
+
+        // The human speaks through handleHumanInput; a silent player's turn is skipped when time runs out
+        this.timer.start('speech', playerId, this.state.rules.speechSeconds, async () => {
+            if (this.state.currentSpeaker !== playerId) return;
+            await this.speak("Moderator", `${player.name}'s time is up.`);
+            this.state.finishSpeech(playerId);
+        });
+    }
+
+    async handleVotingStarted(voters, candidates) {
+        if (this.state.pkRound > 0) {
+            const candidateNames = candidates.map(id => this.state.players.get(id).name).join(", ");
+            await this.speak("Moderator", `The PK speeches are over. The other players now vote between ${candidateNames}. Say the seat number of your choice, or say abstain.`);
         } else {
-            // For human player, the frontend will handle their turn
-            await this.speak("Moderator", "It's your turn to speak.");
-            // Wait for human input...
+            await this.speak("Moderator", "The discussion is over. Every living player now votes to exile one player. Say the seat number of the player you vote for, or say abstain.");
+        }
+
+        // Humans share one clock; whoever has not voted when it runs out abstains
+        const humans = voters.filter(id => !this.state.players.get(id).isAI);
+        if (humans.length > 0) {
+            this.timer.start('vote', humans.length === 1 ? humans[0] : null, this.state.rules.voteSeconds, async () => {
+                for (const human of humans) {
+                    if (!this.state.getAllowedActions(human).includes('vote')) continue;
+                    await this.speak("Moderator", `${this.state.players.get(human).name} did not vote in time.`);
+                    this.state.vote(human, null);
+                }
+            });
+        }
+
+        for (const voterId of voters) {
+            // Stop collecting votes if the vote has already been resolved
+            if (this.state.phase !== 'voting') break;
+
+            if (!this.aiCharacters.has(voterId)) continue; // Human votes arrive through handleHumanInput
+
+            // An AI whose choices keep being rejected abstains
+            const targets = this.getLivingPlayerList()
+                .filter(p => candidates.includes(p.id) && p.id !== voterId);
+            const targetId = await this.getValidAIChoice(voterId, 'vote', async (character) =>
+                this.seatToTarget(await character.makeVoteDecision(
+                    this.formatPlayerList(targets),
+                    this.getGameContext()
+                ))
+            );
+            this.state.vote(voterId, targetId);
         }
     }
 
-    async handlePlayerDied(playerId) {
+    async handleVoteCast({ voter, target }) {
+        const voterName = this.state.players.get(voter).name;
+        if (target) {
+            await this.speak("Moderator", `${voterName} votes for ${this.state.players.get(target).name}.`);
+        } else {
+            await this.speak("Moderator", `${voterName} abstains.`);
+        }
+    }
+
+    async handleVotesCounted({ counts, abstentions }) {
+        const results = counts
+            .map(([targetId, count]) => `${this.state.players.get(targetId).name}: ${count}`)
+            .join(", ");
+        let message = results ? `Vote results: ${results}.` : "No votes were cast.";
+        if (abstentions.length > 0) {
+            const abstainers = abstentions.map(id => this.state.players.get(id).name).join(", ");
+            message += ` Abstained: ${abstainers}.`;
+        }
+        await this.speak("Moderator", message);
+    }
+
+    async handlePKStarted(candidates) {
+        const candidateNames = candidates.map(id => this.state.players.get(id).name).join(", ");
+        await this.speak("Moderator", `The vote is tied between ${candidateNames}. Each of them will give a PK speech before the others vote again.`);
+    }
+
+    async handleNoElimination(reason) {
+        if (reason === 'tie') {
+            await this.speak("Moderator", "The vote is still tied, so no one is exiled today.");
+        } else {
+            await this.speak("Moderator", "No one was exiled today.");
+        }
+        if (!this.state.isGameOver()) {
+            this.state.startNight();
+        }
+    }
+
+    async handleLastWordsStarted(playerIds, reason) {
+        const names = playerIds.map(id => this.state.players.get(id).name).join(", ");
+        await this.speak("Moderator", `${names} may now say their last words.`);
+    }
+
+    async handleLastWordsSpeaker(player) {
+        await this.speak("Moderator", `${player.name}, please say your last words.`);
+
+        if (player.isAI) {
+            const character = this.aiCharacters.get(player.id);
+            if (character) {
+                const response = await character.generateLastWords(this.state.lastWordsReason);
+                await this.speak(player.id, response);
+            }
+        } else {
+            // A human's last words come through ASR like a normal turn, within the time limit
+            const reply = await this.awaitHumanInput(player.id, 'lastWords', {
+                seconds: this.state.rules.lastWordsSeconds,
+                timerName: 'lastWords',
+                accept: (input) => typeof input === 'string' ? input : undefined
+            });
+            if (reply) {
+                await this.speak(player.id, reply);
+            } else {
+                await this.speak("Moderator", `${player.name}'s time for last words is up.`);
+            }
+        }
+
+        this.state.finishSpeech(player.id);
+    }
+
+    // Death skills run as soon as a player dies; flows that must not move on
+    // before a shot is resolved wait for them with settleDeathSkills()
+    handlePlayerDied(playerId, cause) {
+        const skill = this.runDeathSkill(playerId, cause);
+        this.pendingDeathSkills.push(skill);
+        return skill;
+    }
+
+    async settleDeathSkills() {
+        // A shot can kill another shooter, so keep waiting until no skills are left
+        while (this.pendingDeathSkills.length > 0) {
+            await Promise.all(this.pendingDeathSkills.splice(0));
+        }
+    }
+
+    async runDeathSkill(playerId, cause) {
         const player = this.state.players.get(playerId);
         if (!player) return;
 
+        const role = this.state.getPlayerRole(playerId);
+        if (!this.state.canShootOnDeath(playerId)) return;
+
         // Handle hunter's ability
-        if (this.state.getPlayerRole(playerId) === 'hunter') {
-            const character = this.aiCharacters.get(playerId);
-            if (character) {
-                const livingPlayers = this.getLivingPlayers();
-                const target = await character.makeHunterKillDecision(
-                    livingPlayers.map(p => p.name),
-                    this.getGameContext()
-                );
-                if (target) {
-                    this.state.killPlayer(target);
-                    await this.speak("Moderator", `The hunter has chosen to take ${this.state.players.get(target).name} with them.`);
-                }
-            }
+        if (role === 'hunter') {
+            await this.handleShot(playerId, 'hunter', "The hunter", (character, targets) =>
+                character.makeHunterKillDecision(targets, this.getGameContext())
+            );
+        }
+
+        if (role === 'wolfKing') {
+            await this.handleShot(playerId, 'wolfKing', "The wolf king", (character, targets) =>
+                character.makeWolfKingShotDecision(targets, this.getGameContext())
+            );
+        }
+    }
+
+    async handleShot(shooterId, cause, shooterLabel, decide) {
+        const shooter = this.state.players.get(shooterId);
+        if (this.state.isGameOver()) return;
+
+        const targets = this.getLivingPlayerList();
+        let targetId = null;
+        if (shooter.isAI) {
+            targetId = await this.getValidAIChoice(shooterId, 'shoot', async (character) =>
+                this.seatToTarget(await decide(character, this.formatPlayerList(targets)))
+            );
+        } else {
+            await this.speak("Moderator", `${shooter.name}, you may shoot a player as you die. Say their seat number, or say nobody.`, [shooterId]);
+            targetId = await this.getHumanNightChoice(shooterId, 'shoot', targets, { canSkip: true });
+        }
+        // The death that gave the shot may have ended the game while the shooter decided
+        if (!targetId || this.state.isGameOver()) return;
+
+        await this.speak("Moderator", `${shooterLabel} has chosen to take ${this.state.players.get(targetId).name} with them.`);
+        this.state.killPlayer(targetId, cause);
+        if (!this.state.isNight && !this.state.isGameOver()) {
+            await this.handleBadgeHandover(targetId);
         }
     }
 
@@ -338,16 +1126,65 @@ class GameManager extends EventEmitter {
         if (!player) return;
 
         await this.speak("Moderator", `${player.name} has been eliminated. They were a ${this.state.getPlayerRole(playerId)}.`);
+        await this.settleDeathSkills();
+        if (this.state.isGameOver()) return;
+
+        await this.handleBadgeHandover(playerId);
+        this.state.startLastWords([playerId], 'exile');
     }
 
-    async handleGameEnded(winner) {
-        await this.speak("Moderator", `Game Over! The ${winner} have won!`);
+    async handleWerewolfSelfDestructed(playerId, duringElection) {
+        const player = this.state.players.get(playerId);
+        await this.speak("Moderator", `${player.name} has self-destructed and revealed that they are a werewolf. The day ends immediately.`);
+        if (duringElection) {
+            await this.speak("Moderator", "The police election is cancelled and the police badge is lost.");
+        }
+
+        await this.settleDeathSkills();
+        if (this.state.isGameOver()) return;
+
+        await this.handleBadgeHandover(playerId);
+        this.state.startNight();
+    }
+
+    // A human werewolf asks to self-destruct, by voice or with the button
+    async handleSelfDestructRequest(playerId) {
+        const rejection = this.state.validateAction(playerId, 'selfDestruct');
+        if (rejection) {
+            await this.rejectHumanAction(playerId, 'selfDestruct', rejection);
+            return;
+        }
+        this.state.selfDestruct(playerId);
+    }
+
+    async handleIdiotRevealed(playerId) {
+        const player = this.state.players.get(playerId);
+        await this.speak("Moderator", `${player.name} reveals that they are the idiot. They stay in the game but can no longer vote.`);
+        this.state.startNight();
+    }
+
+    async handleGameEnded(result) {
+        const reasons = {
+            allWerewolvesDead: "All werewolves are dead.",
+            allVillagersDead: "All villagers are dead.",
+            allGodsDead: "All special roles are dead.",
+            allGoodDead: "Every player on the villager side is dead."
+        };
+        await this.speak("Moderator", `Game Over! ${reasons[result.reason]} The ${result.winner} have won!`);
         
         // Reveal all roles
         for (const [playerId, player] of this.state.players) {
             const role = this.state.getPlayerRole(playerId);
             await this.speak("Moderator", `${player.name} was a ${role}.`);
         }
+
+        this.sendToClient({
+            type: 'game_ended',
+            winner: result.winner,
+            reason: result.reason,
+            alivePlayers: result.alivePlayers,
+            seed: this.state.seed
+        });
     }
 
     getLivingPlayers() {
@@ -358,6 +1195,138 @@ class GameManager extends EventEmitter {
         );
     }
 
+    getLivingPlayerList() {
+        return Array.from(this.getLivingPlayers().values());
+    }
+
+    // Players are offered to the AI as "seat (name)" so that it can answer with a seat number
+    formatPlayerList(players) {
+        return players.map(p => `${p.seat} (${p.name})`);
+    }
+
+    // Map a seat number chosen by a player to a player ID; an unknown seat is passed on
+    // as is so that validation can reject it, and no seat means no target
+    seatToTarget(seat) {
+        if (seat === null || seat === undefined || Number.isNaN(seat)) return null;
+        return this.state.getPlayerIdBySeat(seat) ?? seat;
+    }
+
+    // The seat a human named by number or name for an action, or null when they named none
+    parseSeat(text, action = null) {
+        return findTarget(this.recognizeIntents(text), action)?.seat ?? null;
+    }
+
+    recognizeIntents(text) {
+        const players = Array.from(this.state.players.values())
+            .map(player => ({ seat: player.seat, name: player.name }));
+        return parseIntents(text, players);
+    }
+
+    // Ask an AI until it makes a choice the rules allow, telling it why each rejected choice failed.
+    // Gives up with null, meaning no action, after MAX_AI_ATTEMPTS.
+    // With canDecline, a null choice is the AI taking no action, which needs no check.
+    async getValidAIChoice(playerId, action, decide, { canDecline = false } = {}) {
+        const character = this.aiCharacters.get(playerId);
+        if (!character) return null;
+
+        for (let attempt = 0; attempt < MAX_AI_ATTEMPTS; attempt++) {
+            const choice = await decide(character);
+            const rejection = choice === null && canDecline ? null : this.state.validateAction(playerId, action, choice);
+            this.sendToGods({ type: 'ai_decision', playerId, action, choice, rejection });
+            if (!rejection) return choice;
+
+            console.log(`${character.name}'s ${action} was rejected (${rejection.code}): ${rejection.message}`);
+            character.updateGameContext(`Your choice was rejected (${rejection.code}): ${rejection.message}`);
+        }
+        return null;
+    }
+
+    // Ask a human until they make a choice the rules allow; null when they run out of time
+    // parse turns a spoken reply into a choice, or returns undefined when the reply is no answer,
+    // such as a player thinking aloud, so that the wait keeps listening.
+    async getValidHumanChoice(playerId, action, parse) {
+        while (true) {
+            // A structured night_action answer names its target directly
+            const choice = await this.awaitHumanInput(playerId, action, {
+                accept: (reply) => typeof reply === 'string' ? parse(reply) : this.seatToTarget(reply.target)
+            });
+            if (choice === null) return null;
+
+            const rejection = this.state.validateAction(playerId, action, choice);
+            if (!rejection) return choice;
+
+            await this.rejectHumanAction(playerId, action, rejection);
+        }
+    }
+
+    // A human with a night action or a death shot is sent the targets and options the rules allow.
+    // They answer with a night_action message naming the target's seat, or say the seat number.
+    async getHumanNightChoice(playerId, action, targets, options) {
+        this.requestNightAction(playerId, action, targets, options);
+        return this.getValidHumanChoice(playerId, action, (reply) => this.parseTargetReply(reply, action));
+    }
+
+    // A spoken answer naming a player: their ID, null for pass or nobody, or undefined when it names neither
+    parseTargetReply(reply, action) {
+        const intents = this.recognizeIntents(reply);
+        const target = findTarget(intents, action);
+        if (target) return this.seatToTarget(target.seat);
+        return findIntent(intents, 'pass') ? null : undefined;
+    }
+
+    // The witch answers with the antidote, a seat to poison, or a pass; anything else is no answer.
+    // The decision names the player to poison by ID, as the AI's does.
+    parseWitchReply(reply) {
+        if (typeof reply !== 'string') {
+            return { save: reply.save === true, kill: this.seatToTarget(reply.target) };
+        }
+
+        const intents = this.recognizeIntents(reply);
+        const save = findIntent(intents, 'save') !== null;
+        const poison = findTarget(intents, 'witchPoison');
+        const kill = poison?.action === 'witchPoison' ? this.seatToTarget(poison.seat) : null;
+        if (!save && kill === null && !findIntent(intents, 'pass')) return undefined;
+        return { save, kill };
+    }
+
+    requestNightAction(playerId, action, targets, options) {
+        this.sendToPlayer(playerId, {
+            type: 'night_action_request',
+            playerId,
+            action,
+            targets: targets.map(player => this.createTargetEntry(player)),
+            options,
+            seconds: this.state.rules.actionSeconds
+        });
+    }
+
+    createTargetEntry(player) {
+        return { playerId: player.id, seat: player.seat, name: player.name };
+    }
+
+    // The structured answer to the night_action_request a human is waiting on
+    async handleHumanNightAction(playerId, message) {
+        if (!this.state.players.has(playerId)) return;
+
+        if (!this.humanInput.offer(playerId, message, message.action)) {
+            await this.rejectHumanAction(playerId, message.action, {
+                code: 'wrongPhase',
+                message: `You have not been asked to ${message.action} now`
+            });
+        }
+    }
+
+    async rejectHumanAction(playerId, action, rejection) {
+        this.sendToPlayer(playerId, {
+            type: 'action_rejected',
+            playerId,
+            action,
+            code: rejection.code,
+            message: rejection.message
+        });
+        await this.speak("Moderator", `${rejection.message}. Please try again.`, [playerId]);
+    }
+
     getGameContext() {
         return {
             day: this.state.currentDay,
@@ -367,28 +1336,79 @@ class GameManager extends EventEmitter {
         };
     }
 
+    // Every connection that receives game messages, with the viewer it sees the game as
+    getViewers() {
+        const players = Array.from(this.connections.entries())
+            .map(([playerId, connection]) => ({ viewer: playerViewer(playerId), connection }));
+        const watchers = Array.from(this.watchers.entries())
+            .map(([connection, viewer]) => ({ viewer, connection }));
+        return [...players, ...watchers];
+    }
+
+    // The viewers a message may reach: everyone for a null audience, otherwise
+    // only the players it is meant for (and the god view, which sees everything)
+    getRecipients(audience = null) {
+        return this.getViewers().filter(({ viewer }) => canSee(viewer, audience));
+    }
+
+    // Sends a public message to everyone watching the game
+    // Shared clocks, such as the vote clock, have no player and are public
+    getClockAudience(clock) {
+        return clock.playerId ? [clock.playerId] : null;
+    }
+
+    // Public by default; with an audience, only those players and the god view receive it
+    sendToClient(message, audience = null) {
+        const data = JSON.stringify(message);
+        for (const { connection } of this.getRecipients(audience)) {
+            connection.ws.send(data);
+        }
+    }
+
+    // Sends what only the god view may see: roles, night actions and AI output
+    sendToGods(message) {
+        const data = JSON.stringify(message);
+        for (const { viewer, connection } of this.getViewers()) {
+            if (viewer.kind === 'god') {
+                connection.ws.send(data);
+            }
+        }
+    }
+
+    sendToPlayer(playerId, message) {
+        const connection = this.connections.get(playerId);
+        if (connection) {
+            connection.ws.send(JSON.stringify(message));
+        }
+    }
+
     async speak(speaker, message, targetPlayers = null) {
+        // Every line spoken at the table goes into the game's event log
+        this.state.recordSpeech(speaker, message, targetPlayers);
+
         try {
-            // Add speaker information to the message
-            const speakerInfo = {
-                type: 'speaker_info',
-                speaker: speaker,
-                name: speaker === 'Moderator' ? 'Moderator' : this.state.players.get(speaker)?.name,
-                role: speaker === 'Moderator' ? 'Moderator' : this.state.getPlayerRole(speaker)
-            };
-            
-            // Send speaker info first
-            this.connectionHandler.ws.send(JSON.stringify(speakerInfo));
-
-            // Send game log message
-            const gameLogMessage = {
-                type: 'game_log',
-                speaker: speakerInfo.name,
-                message: message,
-                timestamp: new Date().toISOString(),
-                isPrivate: targetPlayers !== null
-            };
-            this.connectionHandler.ws.send(JSON.stringify(gameLogMessage));
+            // A private message only reaches the viewers allowed to see it
+            const recipients = this.getRecipients(targetPlayers);
+            const name = speaker === 'Moderator' ? 'Moderator' : this.state.players.get(speaker)?.name;
+
+            for (const { viewer, connection } of recipients) {
+                // Send speaker info first, with the speaker's role only when this viewer may know it
+                connection.ws.send(JSON.stringify({
+                    type: 'speaker_info',
+                    speaker: speaker,
+                    name,
+                    role: speaker === 'Moderator' ? 'Moderator' : getVisibleRole(this.state, viewer, speaker)
+                }));
+
+                // Send game log message
+                connection.ws.send(JSON.stringify({
+                    type: 'game_log',
+                    speaker: name,
+                    message: message,
+                    timestamp: new Date().toISOString(),
+                    isPrivate: targetPlayers !== null
+                }));
+            }
             
             // Skip TTS for initial game rules and role announcements
             const skipTTSPatterns = [
@@ -402,7 +1422,9 @@ class GameManager extends EventEmitter {
             
             // Only send TTS for gameplay messages
             if (!shouldSkipTTS) {
-                await this.connectionHandler.synthesizeAndStreamAudio(message);
+                await Promise.all(recipients.map(({ connection }) =>
+                    connection.synthesizeAndStreamAudio(message)
+                ));
             }
             
             // Update AI characters' context
@@ -416,13 +1438,70 @@ class GameManager extends EventEmitter {
         }
     }
 
+    // Waits for a human's input of one kind, spoken or sent as a message, on a clock.
+    // Resolves with what accept makes of the first input it takes, or with null once the
+    // clock runs out or the phase changes, so the caller applies its default.
+    awaitHumanInput(playerId, kind, { seconds = this.state.rules.actionSeconds, timerName = 'action', accept } = {}) {
+        const wait = this.humanInput.wait(playerId, kind, accept);
+        this.timer.start(timerName, playerId, seconds, () => this.humanInput.cancel(playerId));
+
+        // Stop the clock unless a later wait has already started its own
+        const clock = this.timer.current;
+        return wait.finally(() => {
+            if (this.timer.current === clock) this.timer.clear();
+        });
+    }
+
     // Handle human player input
     async handleHumanInput(playerId, message) {
-        if (this.state.currentSpeaker === playerId) {
+        // Nothing said before the game starts is for the game
+        if (!this.state.players.has(playerId)) return;
+
+        if (this.humanInput.offer(playerId, message)) return;
+
+        // Only an utterance that is nothing but the command self-destructs; the button always does
+        const intents = this.recognizeIntents(message);
+        if (isWholeCommand(intents, 'selfDestruct')) {
+            await this.handleSelfDestructRequest(playerId);
+            return;
+        }
+
+        const actions = this.state.getAllowedActions(playerId);
+        if (actions.includes('vote')) {
+            await this.handleHumanVote(playerId, intents);
+            return;
+        }
+
+        if (actions.includes('speak')) {
             // Process the human player's message
+            this.timer.clear('speech');
             await this.speak(playerId, message);
-            this.state.processNextSpeaker();
+            this.state.finishSpeech(playerId);
+        }
+    }
+
+    async handleHumanVote(playerId, intents) {
+        const abstains = findIntent(intents, 'pass') !== null;
+        const targetId = abstains ? null : this.seatToTarget(findTarget(intents, 'vote')?.seat);
+
+        if (!abstains && !targetId) {
+            await this.speak("Moderator", "Please say the seat number of a player you can vote for, or say abstain.", [playerId]);
+            return;
+        }
+
+        const rejection = this.state.validateAction(playerId, 'vote', targetId);
+        if (rejection) {
+            await this.rejectHumanAction(playerId, 'vote', rejection);
+            return;
+        }
+
+        // The vote clock stops once every human has voted
+        const othersVoting = this.getHumanPlayers()
+            .some(player => player.id !== playerId && this.state.getAllowedActions(player.id).includes('vote'));
+        if (!othersVoting) {
+            this.timer.clear('vote');
         }
+        this.state.vote(playerId, targetId);
     }
 }
 
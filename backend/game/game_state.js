@@ -1,66 +1,194 @@
 const { EventEmitter } = require('events');
 const config = require('../config');
+const { resolveBoard, GOD_ROLES, isWerewolf } = require('./boards');
+const { resolveRules } = require('./rules');
+const { tallyVotes } = require('./vote_tally');
+const { createNightIntents, resolveNight } = require('./night_resolver');
+const { generateSeed, createRandom } = require('./random');
+const { isNightPhase, getTransitionError, getAllowedActions } = require('./phases');
+const { createEvent, applyEvent } = require('./game_events');
+const { validateAction } = require('./action_validator');
 
 class GameState extends EventEmitter {
     constructor() {
         super();
         this.players = new Map(); // Map of player ID to player info
         this.roles = new Map(); // Map of player ID to role
-        this.isNight = true;
         this.currentDay = 0;
-        this.phase = 'waiting'; // waiting, night, day
+        this.phase = 'waiting'; // One of the phases in ./phases, changed only through transition()
         this.deadPlayers = new Set();
-        this.votes = new Map();
-        this.police = null;
+        this.deathCauses = new Map(); // Map of player ID to how they died
+        this.nightIntents = createNightIntents();
+        this.lastNightDeaths = [];
+        this.lastGuardTarget = null; // The guard cannot protect the same player two nights in a row
+        this.witchPotions = { antidote: true, poison: true }; // A board has at most one witch
+        this.votes = new Map(); // Map of voter ID to target ID, null for an abstention
+        this.voteCandidates = [];
+        this.voteVoters = [];
+        this.pkRound = 0;
+        this.voteHistory = []; // Every vote round, including abstentions
+        this.police = null; // Player ID of the police chief holding the badge
         this.currentSpeaker = null;
         this.speakQueue = [];
+        this.lastWordsReason = null; // 'exile' or 'night' while last words are being given
         this.gameStarted = false;
+        this.board = null; // Roles dealt at this table
+        this.rules = resolveRules();
+        this.seed = null; // Every random decision in the game is drawn from this seed
+        this.random = null;
+        this.result = null; // Set once the game has ended
+        this.eventLog = []; // Append-only log of every state change, see ./game_events
     }
 
-    addPlayer(playerId, isAI = true, name = null) {
-        this.players.set(playerId, {
-            id: playerId,
-            isAI,
-            name: name || `Player ${playerId}`,
-            isAlive: true,
-            hasSpoken: false
-        });
+    // Rebuilds a game's state from its event log, without emitting any events
+    static fromEvents(events) {
+        const state = new GameState();
+        for (const event of events) {
+            applyEvent(state, event);
+            state.eventLog.push(event);
+        }
+        return state;
+    }
+
+    // Every state change goes through here: the event is logged, then applied
+    record(type, payload = {}) {
+        const event = createEvent(this.eventLog.length + 1, type, this.currentDay, payload);
+        this.eventLog.push(event);
+        applyEvent(this, event);
+        return event;
+    }
+
+    getEventLog() {
+        return [...this.eventLog];
+    }
+
+    // Speeches change nothing but are kept so the game can be replayed
+    recordSpeech(speaker, message, targets = null) {
+        this.record('speech', { speaker, message, targets });
+    }
+
+    // Every model response is kept so a replay can give the same answers without the model
+    recordAIResponse(playerId, response) {
+        this.record('aiResponse', { playerId, response });
+    }
+
+    setSpeaker(playerId, queue = this.speakQueue) {
+        this.record('speakQueueChanged', { currentSpeaker: playerId, queue: [...queue] });
+    }
+
+    // Uses the given seed, or generates one so the game can still be replayed later
+    setSeed(seed) {
+        if (seed === undefined || seed === null) {
+            seed = generateSeed();
+        }
+        this.random = createRandom(seed);
+        this.seed = seed;
+        return seed;
+    }
+
+    setRules(overrides) {
+        this.rules = resolveRules(overrides);
+        return this.rules;
+    }
+
+    setBoard(board = config.DEFAULT_BOARD) {
+        this.board = resolveBoard(board);
+        return this.board;
+    }
+
+    addPlayer(playerId, isAI = true, name = null, seat = null) {
+        // Players take the chosen or else the lowest free seat, and refer to each other by seat number
+        const takenSeats = Array.from(this.players.values()).map(player => player.seat);
+        if (seat !== null && takenSeats.includes(seat)) {
+            throw new Error(`Seat ${seat} is already taken`);
+        }
+        if (seat === null) {
+            seat = 1;
+            while (takenSeats.includes(seat)) seat++;
+        }
+        this.record('playerJoined', { playerId, seat, name: name || `Player ${seat}`, isAI });
+    }
+
+    getPlayerIdBySeat(seat) {
+        for (const [playerId, player] of this.players) {
+            if (player.seat === seat) {
+                return playerId;
+            }
+        }
+        return null;
+    }
+
+    getLivingPlayerIds() {
+        return Array.from(this.players.values())
+            .filter(player => player.isAlive)
+            .map(player => player.id);
+    }
+
+    // Living players who still hold a vote; a revealed idiot has lost theirs
+    getVoterIds() {
+        return this.getLivingPlayerIds()
+            .filter(id => this.players.get(id).canVote);
+    }
+
+    get isNight() {
+        return isNightPhase(this.phase);
+    }
+
+    canTransition(phase) {
+        return getTransitionError(this, phase) === null;
+    }
+
+    // The only way to change phase; throws when the phase graph does not allow the move
+    transition(phase, day = this.currentDay) {
+        const error = getTransitionError(this, phase);
+        if (error) {
+            throw new Error(error);
+        }
+
+        this.record('phaseChanged', { phase, day });
+        this.emit('phaseChanged', phase);
+    }
+
+    getAllowedActions(playerId) {
+        return getAllowedActions(this, playerId);
+    }
+
+    // Returns a rejection { code, message }, or null when the action is valid.
+    // Player actions below (vote, submitNightAction) return the same, applying the action only when valid.
+    validateAction(playerId, action, target = null) {
+        return validateAction(this, playerId, action, target);
+    }
+
+    findLivingPlayerWithRole(role) {
+        const entry = Array.from(this.roles.entries())
+            .find(([id, r]) => r === role && this.isPlayerAlive(id));
+        return entry ? entry[0] : null;
+    }
+
+    // Flow steps below return early once the game is over, so pending handlers cannot restart it
+    isGameOver() {
+        return this.phase === 'gameOver';
     }
 
     removePlayer(playerId) {
-        this.players.delete(playerId);
-        this.roles.delete(playerId);
+        this.record('playerRemoved', { playerId });
     }
 
     assignRoles() {
         const playerIds = Array.from(this.players.keys());
-        const numPlayers = playerIds.length;
-        
-        // Calculate role distribution
-        const numWerewolves = Math.ceil(numPlayers / 3);
-        const numSeers = numPlayers >= 6 ? 1 : 0;
-        const numWitches = numPlayers >= 6 ? 1 : 0;
-        const numHunters = numPlayers >= 9 ? 1 : 0;
-        const numVillagers = numPlayers - numWerewolves - numSeers - numWitches - numHunters;
-
-        // Create role pool
-        const roles = [
-            ...Array(numWerewolves).fill('werewolf'),
-            ...Array(numVillagers).fill('villager'),
-            ...Array(numSeers).fill('seer'),
-            ...Array(numWitches).fill('witch'),
-            ...Array(numHunters).fill('hunter')
-        ];
 
-        // Shuffle roles
-        for (let i = roles.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [roles[i], roles[j]] = [roles[j], roles[i]];
+        // Deal the board's roles, one per seat
+        const roles = [...this.board];
+        if (roles.length !== playerIds.length) {
+            throw new Error(`Board has ${roles.length} roles but there are ${playerIds.length} players`);
         }
 
+        // Shuffle roles
+        this.random.shuffle(roles);
+
         // Assign roles
-        playerIds.forEach((playerId, index) => {
-            this.roles.set(playerId, roles[index]);
+        this.record('rolesAssigned', {
+            roles: playerIds.map((playerId, index) => [playerId, roles[index]])
         });
     }
 
@@ -69,189 +197,481 @@ class GameState extends EventEmitter {
             throw new Error('Not enough players to start the game');
         }
 
-        this.gameStarted = true;
+        if (!this.board) {
+            this.setBoard();
+        }
+
+        if (!this.random) {
+            this.setSeed();
+        }
+
+        this.record('gameConfigured', { board: [...this.board], rules: { ...this.rules }, seed: this.seed });
         this.assignRoles();
-        this.currentDay = 1;
-        this.isNight = false;
-        this.phase = 'day';
-        this.emit('gameStarted');
+        this.transition('day', 1);
         
-        // Start with police election
-        this.startPoliceElection();
+        // The game manager starts the police election once roles are announced
+        this.emit('gameStarted');
+    }
+
+    // Picks a restored game up again at the start of the phase it was saved in
+    resumePhase() {
+        switch (this.phase) {
+            case 'day':
+                if (this.currentDay === 1) {
+                    this.startPoliceElection();
+                } else {
+                    this.announceDeaths();
+                }
+                break;
+            case 'policeElection':
+                this.emit('policeElectionStarted');
+                break;
+            case 'night':
+                this.processGuard();
+                break;
+            case 'nightGuard':
+                this.emit('guardPhaseStarted', this.findLivingPlayerWithRole('guard'));
+                break;
+            case 'nightWerewolves':
+                this.emit('werewolvesPhaseStarted', this.getLivingPlayerIds()
+                    .filter(id => isWerewolf(this.roles.get(id))));
+                break;
+            case 'nightSeer':
+                this.emit('seerPhaseStarted', this.findLivingPlayerWithRole('seer'));
+                break;
+            case 'nightWitch':
+                this.emit('witchPhaseStarted', this.findLivingPlayerWithRole('witch'));
+                break;
+            case 'deathAnnouncement':
+                this.emit('deathAnnouncementStarted', [...this.lastNightDeaths]);
+                break;
+            case 'speakingOrder':
+                this.emit('speakingOrderRequested', this.police);
+                break;
+            case 'discussion':
+            case 'pk':
+            case 'lastWords':
+                // The player who held the turn speaks again
+                if (this.currentSpeaker) {
+                    this.emit('nextSpeaker', this.currentSpeaker);
+                } else {
+                    this.processNextSpeaker();
+                }
+                break;
+            case 'voting': {
+                const remaining = this.voteVoters.filter(id => !this.votes.has(id));
+                if (remaining.length === 0) {
+                    this.processVotes();
+                } else {
+                    this.emit('votingStarted', remaining, this.voteCandidates);
+                }
+                break;
+            }
+            case 'selfDestruct':
+                this.startNight();
+                break;
+            default:
+                throw new Error(`Cannot resume a game in phase ${this.phase}`);
+        }
     }
 
     startPoliceElection() {
-        this.phase = 'policeElection';
-        this.speakQueue = Array.from(this.players.keys())
-            .filter(id => this.players.get(id).isAlive);
+        this.transition('policeElection');
         this.emit('policeElectionStarted');
-        this.speakQueue.length === 0;
-        this.processNextSpeaker();
     }
 
     startNight() {
-        this.isNight = true;
-        this.phase = 'night';
+        if (this.isGameOver()) return;
+        // Entering the night resets the night intents, see ./game_events
+        this.transition('night');
         this.emit('nightStarted', this.currentDay);
-        
-        // Process werewolves first
-        this.processWerewolves();
     }
 
     startDay() {
-        this.isNight = false;
-        this.phase = 'day';
-        this.currentDay++;
+        if (this.isGameOver()) return;
+        this.transition('day', this.currentDay + 1);
         this.emit('dayStarted', this.currentDay);
-        
-        // Announce deaths and process last words
-        this.announceDeaths();
+    }
+
+    processGuard() {
+        if (this.isGameOver()) return;
+        if (this.canTransition('nightGuard')) {
+            const guard = this.findLivingPlayerWithRole('guard');
+            this.transition('nightGuard');
+            this.setSpeaker(guard);
+            this.emit('guardPhaseStarted', guard);
+        } else {
+            this.processWerewolves();
+        }
     }
 
     processWerewolves() {
+        if (this.isGameOver()) return;
         const werewolves = Array.from(this.roles.entries())
-            .filter(([id, role]) => role === 'werewolf' && this.players.get(id).isAlive)
+            .filter(([id, role]) => isWerewolf(role) && this.players.get(id).isAlive)
             .map(([id]) => id);
-        
-        this.speakQueue = werewolves;
+
+        this.transition('nightWerewolves');
         this.emit('werewolvesPhaseStarted', werewolves);
-        this.processNextSpeaker();
     }
 
     processSeer() {
-        const seer = Array.from(this.roles.entries())
-            .find(([id, role]) => role === 'seer' && this.players.get(id).isAlive);
-        
-        if (seer) {
-            this.currentSpeaker = seer[0];
-            this.emit('seerPhaseStarted', seer[0]);
+        if (this.isGameOver()) return;
+        if (this.canTransition('nightSeer')) {
+            const seer = this.findLivingPlayerWithRole('seer');
+            this.transition('nightSeer');
+            this.setSpeaker(seer);
+            this.emit('seerPhaseStarted', seer);
         } else {
             this.processWitch();
         }
     }
 
     processWitch() {
-        const witch = Array.from(this.roles.entries())
-            .find(([id, role]) => role === 'witch' && this.players.get(id).isAlive);
-        
-        if (witch) {
-            this.currentSpeaker = witch[0];
-            this.emit('witchPhaseStarted', witch[0]);
+        if (this.isGameOver()) return;
+        if (this.canTransition('nightWitch')) {
+            const witch = this.findLivingPlayerWithRole('witch');
+            this.transition('nightWitch');
+            this.setSpeaker(witch);
+            this.emit('witchPhaseStarted', witch);
         } else {
             this.startDay();
         }
     }
 
+    submitNightAction(playerId, action, value) {
+        if (!(action in this.nightIntents)) {
+            throw new Error(`Unknown night action: ${action}`);
+        }
+
+        const rejection = this.validateAction(playerId, action, value);
+        if (rejection) return rejection;
+
+        this.record('nightActionSubmitted', { action, value });
+        this.emit('nightActionSubmitted', { action, value });
+        return null;
+    }
+
+    isWitchSaveAllowed() {
+        const victim = this.nightIntents.wolfKill;
+        if (!victim) return false;
+        if (this.roles.get(victim) !== 'witch') return true;
+
+        // Night N is played during day N, so the first night is day 1
+        const isFirstNight = this.currentDay === 1;
+        return this.rules.witchSelfSave === 'always'
+            || (this.rules.witchSelfSave === 'firstNight' && isFirstNight);
+    }
+
+    // What the witch may do tonight with the potions she has left
+    getWitchOptions() {
+        return {
+            victim: this.rules.witchKnowsVictim ? this.nightIntents.wolfKill : null,
+            canSave: this.witchPotions.antidote && this.isWitchSaveAllowed(),
+            canPoison: this.witchPotions.poison,
+            canUseBoth: this.rules.witchDualPotion
+        };
+    }
+
+    // Resolve the night's intents and announce only this night's deaths
+    announceDeaths() {
+        if (this.isGameOver()) return;
+        const deaths = resolveNight(this.nightIntents)
+            .sort((a, b) => this.players.get(a.playerId).seat - this.players.get(b.playerId).seat);
+        this.record('nightResolved', { deaths });
+
+        this.transition('deathAnnouncement');
+        this.emit('deathAnnouncementStarted', [...this.lastNightDeaths]);
+
+        // Apply deaths after the announcement, since one of them may end the game
+        for (const { playerId, cause } of deaths) {
+            this.killPlayer(playerId, cause);
+        }
+    }
+
+    setPolice(playerId) {
+        this.record('policeChanged', { playerId });
+        this.emit('policeChanged', playerId);
+    }
+
+    // A living police chief picks the speaking direction before the discussion
+    requestSpeakingOrder() {
+        if (this.isGameOver()) return;
+        if (this.canTransition('speakingOrder')) {
+            this.transition('speakingOrder');
+            this.emit('speakingOrderRequested', this.police);
+        } else {
+            this.startDiscussion();
+        }
+    }
+
+    // Speaking starts next to the police chief in the chosen direction and the chief speaks last
+    getSpeakingOrder(direction = 'clockwise') {
+        const living = Array.from(this.players.values())
+            .filter(player => player.isAlive)
+            .sort((a, b) => a.seat - b.seat)
+            .map(player => player.id);
+
+        const chiefIndex = living.indexOf(this.police);
+        if (chiefIndex === -1) {
+            return living;
+        }
+
+        const order = [...living.slice(chiefIndex + 1), ...living.slice(0, chiefIndex)];
+        if (direction === 'counterclockwise') {
+            order.reverse();
+        }
+        return [...order, this.police];
+    }
+
+    getVoteWeights() {
+        const weights = new Map();
+        if (this.police && this.isPlayerAlive(this.police)) {
+            weights.set(this.police, this.rules.policeVoteWeight);
+        }
+        return weights;
+    }
+
+    startDiscussion(direction = 'clockwise') {
+        if (this.isGameOver()) return;
+        this.transition('discussion');
+        this.setSpeaker(null, this.getSpeakingOrder(direction));
+        this.emit('discussionStarted', [...this.speakQueue]);
+        this.processNextSpeaker();
+    }
+
     processNextSpeaker() {
+        if (this.isGameOver()) return;
         if (this.speakQueue.length === 0) {
             this.processAllPlayersSpoken();
             return;
         }
 
-        this.currentSpeaker = this.speakQueue.shift();
+        const [next, ...rest] = this.speakQueue;
+        this.setSpeaker(next, rest);
         this.emit('nextSpeaker', this.currentSpeaker);
     }
 
-    processAllPlayersSpoken() {
+    // Advance the speak queue only if this player still holds the turn;
+    // a speech that finishes after the queue was interrupted is ignored
+    finishSpeech(playerId) {
+        if (this.currentSpeaker !== playerId) return;
+        this.processNextSpeaker();
+    }
 
-    // 更新游戏阶段
-    this.phase = 'night';
+    interruptSpeakQueue() {
+        this.setSpeaker(null, []);
+    }
 
-    // 触发 startNight 事件
-    this.startNight();
-}
+    // A werewolf self-destructs: the day ends at once without a vote and the game goes to night
+    selfDestruct(playerId) {
+        if (this.isGameOver()) return false;
+        if (!this.getAllowedActions(playerId).includes('selfDestruct')) return false;
 
+        const duringElection = this.phase === 'policeElection';
+        this.interruptSpeakQueue();
+        this.transition('selfDestruct');
 
-    vote(voterId, targetId) {
-        if (!this.players.get(voterId).isAlive) {
-            throw new Error('Dead players cannot vote');
+        // Announce the self-destruct before the death, which may end the game
+        this.emit('werewolfSelfDestructed', playerId, duringElection);
+        this.killPlayer(playerId, 'selfDestruct');
+        return true;
+    }
+
+    processAllPlayersSpoken() {
+        this.setSpeaker(null);
+
+        // Discussion is followed by the exile vote
+        if (this.phase === 'discussion') {
+            this.startVoting();
+        } else if (this.phase === 'lastWords') {
+            // Exile last words close the day; night victims speak before the discussion
+            if (this.lastWordsReason === 'exile') {
+                this.startNight();
+            } else {
+                this.requestSpeakingOrder();
+            }
+        } else if (this.phase === 'pk') {
+            // Only players outside the tie vote again, and only for the tied candidates
+            const voters = this.getVoterIds()
+                .filter(id => !this.voteCandidates.includes(id));
+            this.startVoting(this.voteCandidates, voters);
+        }
+    }
+
+    startVoting(candidates = this.getLivingPlayerIds(), voters = this.getVoterIds()) {
+        if (this.isGameOver()) return;
+        this.transition('voting');
+        this.record('votingStarted', { candidates: [...candidates], voters: [...voters] });
+        this.emit('votingStarted', voters, candidates);
+
+        // Nobody is left to vote when every living player is in the tie
+        if (voters.length === 0) {
+            this.processVotes();
         }
+    }
 
-        this.votes.set(voterId, targetId);
-        this.emit('vote', { voter: voterId, target: targetId });
+    vote(voterId, targetId) {
+        // A null target records an abstention
+        const target = targetId || null;
+        const rejection = this.validateAction(voterId, 'vote', target);
+        if (rejection) return rejection;
 
-        // Check if all living players have voted
-        const livingPlayers = Array.from(this.players.entries())
-            .filter(([_, player]) => player.isAlive)
-            .map(([id]) => id);
+        this.record('voteCast', { voter: voterId, target });
+        this.emit('vote', { voter: voterId, target });
 
-        if (Array.from(this.votes.keys()).length === livingPlayers.length) {
+        // Check if every voter in this round has voted
+        if (this.voteVoters.every(id => this.votes.has(id))) {
             this.processVotes();
         }
+        return null;
     }
 
     processVotes() {
-        const voteCount = new Map();
-        
-        // Count votes
-        for (const [_, targetId] of this.votes) {
-            voteCount.set(targetId, (voteCount.get(targetId) || 0) + 1);
+        const { counts, leaders, abstentions } = tallyVotes(this.votes, this.getVoteWeights());
+
+        // A tie sends the tied players to a PK round until the configured rounds run out
+        const goesToPK = leaders.length > 1 && this.canTransition('pk');
+        const eliminated = !goesToPK && leaders.length === 1 ? leaders[0] : null;
+
+        // An idiot reveals their card when exiled for the first time, survives and loses their vote
+        const revealsIdiot = Boolean(eliminated) && this.roles.get(eliminated) === 'idiot' && this.players.get(eliminated).canVote;
+
+        let outcome = 'none';
+        if (goesToPK) outcome = 'pk';
+        else if (revealsIdiot) outcome = 'idiot';
+        else if (eliminated) outcome = 'exile';
+
+        this.record('votesCounted', {
+            counts: Array.from(counts.entries()),
+            leaders,
+            abstentions,
+            ballots: Array.from(this.votes.entries()),
+            outcome
+        });
+        this.emit('votesCounted', { counts: Array.from(counts.entries()), leaders, abstentions });
+
+        if (goesToPK) {
+            this.startPK(leaders);
+            return;
         }
 
-        // Find player with most votes
-        let maxVotes = 0;
-        let eliminated = null;
-        for (const [targetId, count] of voteCount) {
-            if (count > maxVotes) {
-                maxVotes = count;
-                eliminated = targetId;
-            }
+        if (revealsIdiot) {
+            this.record('idiotRevealed', { playerId: eliminated });
+            this.emit('idiotRevealed', eliminated);
+            return;
         }
 
         if (eliminated) {
-            this.killPlayer(eliminated);
+            // Announce the exile before the death, which may end the game
             this.emit('playerEliminated', eliminated);
+            this.killPlayer(eliminated, 'exile');
+        } else {
+            this.emit('noElimination', leaders.length > 1 ? 'tie' : 'noVotes');
         }
+    }
 
-        this.votes.clear();
-        
-        // Check game end condition
-        if (this.checkGameEnd()) {
-            return;
-        }
+    startPK(candidates) {
+        if (this.isGameOver()) return;
+        this.transition('pk');
+        this.record('pkStarted', { candidates: [...candidates], round: this.pkRound + 1 });
+        this.setSpeaker(null, candidates);
+        this.emit('pkStarted', candidates);
+        this.processNextSpeaker();
+    }
 
-        // Move to next phase
-        if (this.isNight) {
-            this.processSeer();
-        } else {
-            this.startNight();
-        }
+    startLastWords(playerIds, reason) {
+        if (this.isGameOver()) return;
+        this.transition('lastWords');
+        this.record('lastWordsStarted', { playerIds: [...playerIds], reason });
+        this.setSpeaker(null, playerIds);
+        this.emit('lastWordsStarted', playerIds, reason);
+        this.processNextSpeaker();
     }
 
-    killPlayer(playerId) {
+    killPlayer(playerId, cause = null) {
+        // Nobody dies once the game has been decided
+        if (this.isGameOver()) return;
+
         const player = this.players.get(playerId);
-        if (player) {
-            player.isAlive = false;
-            this.deadPlayers.add(playerId);
-            this.emit('playerDied', playerId);
+        if (player && player.isAlive) {
+            this.record('playerDied', { playerId, cause });
+
+            // Every death can decide the game; it is settled before the death is announced,
+            // so a death skill never starts after the death that ended the game
+            this.checkGameEnd();
+            this.emit('playerDied', playerId, cause);
         }
     }
 
-    checkGameEnd() {
-        const livingPlayers = Array.from(this.players.entries())
-            .filter(([_, player]) => player.isAlive);
-        
-        const livingWerewolves = livingPlayers
-            .filter(([id]) => this.roles.get(id) === 'werewolf')
-            .length;
-        
-        const livingVillagers = livingPlayers
-            .filter(([id]) => this.roles.get(id) !== 'werewolf')
-            .length;
+    // Whether a dead hunter or wolf king may still shoot, given how they died
+    canShootOnDeath(playerId) {
+        const role = this.roles.get(playerId);
+        const cause = this.deathCauses.get(playerId);
 
-        if (livingWerewolves === 0) {
-            this.emit('gameEnded', 'villagers');
-            return true;
+        if (role === 'hunter') {
+            return !(cause === 'poison' && this.rules.hunterBlockedByPoison);
         }
 
-        if (livingVillagers === 0) {
-            this.emit('gameEnded', 'werewolves');
-            return true;
+        // The wolf king shoots when exiled or killed by the werewolves at night,
+        // but not when poisoned or after self-destructing
+        if (role === 'wolfKing') {
+            return ['exile', 'wolves'].includes(cause);
         }
 
         return false;
     }
 
+    // Returns { winner, reason, alivePlayers } once a side has won, otherwise null
+    checkGameEnd() {
+        if (this.isGameOver()) return null;
+
+        const livingRoles = this.getLivingPlayerIds().map(id => this.roles.get(id));
+        const livingWerewolves = livingRoles.filter(isWerewolf).length;
+        const livingVillagers = livingRoles.filter(role => role === 'villager').length;
+        const livingGods = livingRoles.filter(role => GOD_ROLES.includes(role)).length;
+        // A side the board never had cannot be killed off
+        const boardHasVillagers = this.board.includes('villager');
+        const boardHasGods = this.board.some(role => GOD_ROLES.includes(role));
+
+        let winner = null;
+        let reason = null;
+
+        if (livingWerewolves === 0) {
+            winner = 'villagers';
+            reason = 'allWerewolvesDead';
+        } else if (this.rules.winCondition === 'cityKill') {
+            if (livingVillagers + livingGods === 0) {
+                winner = 'werewolves';
+                reason = 'allGoodDead';
+            }
+        } else if (boardHasVillagers && livingVillagers === 0) {
+            winner = 'werewolves';
+            reason = 'allVillagersDead';
+        } else if (boardHasGods && livingGods === 0) {
+            winner = 'werewolves';
+            reason = 'allGodsDead';
+        }
+
+        if (!winner) return null;
+
+        const result = {
+            winner,
+            reason,
+            alivePlayers: this.getLivingPlayerIds().map(id => ({
+                id,
+                seat: this.players.get(id).seat,
+                name: this.players.get(id).name,
+                role: this.roles.get(id)
+            }))
+        };
+
+        this.transition('gameOver');
+        this.record('gameEnded', result);
+        this.emit('gameEnded', result);
+        return result;
+    }
+
     getPlayerRole(playerId) {
         return this.roles.get(playerId);
     }
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+// Saved games live as one JSON file per game in the data directory
+const dataDir = path.join(__dirname, '..', config.GAME_DATA_DIR);
+
+function ensureDataDir() {
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+}
+
+function getGamePath(gameId) {
+    if (!/^[\w-]+$/.test(gameId)) {
+        throw new Error(`Invalid game ID: ${gameId}`);
+    }
+    return path.join(dataDir, `${gameId}.json`);
+}
+
+// Writes to a temporary file first so a crash mid-write cannot corrupt the last save
+function saveGame(snapshot) {
+    ensureDataDir();
+    const filePath = getGamePath(snapshot.gameId);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+    fs.renameSync(tempPath, filePath);
+}
+
+function loadGame(gameId) {
+    const filePath = getGamePath(gameId);
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`No saved game with ID ${gameId}`);
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Summaries of saved games that have not ended, newest first.
+// Given resume tokens, only the games one of them has a seat in.
+function listUnfinishedGames(resumeTokens = null) {
+    const tokens = resumeTokens && new Set(resumeTokens);
+    if (!fs.existsSync(dataDir)) return [];
+
+    const games = [];
+    for (const fileName of fs.readdirSync(dataDir)) {
+        if (!fileName.endsWith('.json')) continue;
+
+        try {
+            const snapshot = JSON.parse(fs.readFileSync(path.join(dataDir, fileName), 'utf8'));
+            if (snapshot.finished) continue;
+            if (tokens && !Object.values(snapshot.resumeTokens || {}).some(token => tokens.has(token))) continue;
+            games.push({
+                gameId: snapshot.gameId,
+                savedAt: snapshot.savedAt,
+                phase: snapshot.phase,
+                day: snapshot.day,
+                playerCount: snapshot.playerCount
+            });
+        } catch (error) {
+            console.error(`Skipping unreadable saved game ${fileName}:`, error.message);
+        }
+    }
+
+    return games.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+module.exports = {
+    saveGame,
+    loadGame,
+    listUnfinishedGames
+};
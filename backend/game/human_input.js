@@ -0,0 +1,53 @@
+// Waits for input from human players, one wait per player.
+// A wait is for one kind of input (a reply, a night action, a nomination, ...) and its accept
+// function turns an input into the result, or returns undefined to leave the input to others.
+// A wait resolves with the first accepted result, or with null when it is cancelled.
+class HumanInputChannel {
+    constructor() {
+        this.waits = new Map(); // Map of player ID to { kind, accept, resolve }
+    }
+
+    wait(playerId, kind, accept = (input) => input) {
+        this.cancel(playerId);
+        return new Promise(resolve => {
+            this.waits.set(playerId, { kind, accept, resolve });
+        });
+    }
+
+    isWaiting(playerId, kind = null) {
+        const wait = this.waits.get(playerId);
+        return Boolean(wait) && (!kind || wait.kind === kind);
+    }
+
+    // Offers a player's input to their wait, if it is of the given kind.
+    // Returns whether the wait took the input.
+    offer(playerId, input, kind = null) {
+        if (!this.isWaiting(playerId, kind)) return false;
+
+        const result = this.waits.get(playerId).accept(input);
+        if (result === undefined) return false;
+
+        this.finish(playerId, result);
+        return true;
+    }
+
+    cancel(playerId) {
+        if (this.waits.has(playerId)) {
+            this.finish(playerId, null);
+        }
+    }
+
+    cancelAll() {
+        for (const playerId of Array.from(this.waits.keys())) {
+            this.finish(playerId, null);
+        }
+    }
+
+    finish(playerId, result) {
+        const { resolve } = this.waits.get(playerId);
+        this.waits.delete(playerId);
+        resolve(result);
+    }
+}
+
+module.exports = HumanInputChannel;
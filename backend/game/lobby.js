@@ -0,0 +1,374 @@
+const GameManager = require('./game_manager');
+const { resolveBoard } = require('./boards');
+const { resolveRules } = require('./rules');
+const { normalizeSeed } = require('./random');
+const { loadRecording } = require('./response_replay');
+const { SPECTATOR, GOD } = require('./visibility');
+const { tokensMatch } = require('./tokens');
+const config = require('../config');
+
+// Throws on rules or a seed the game would reject, before a room is seated and marked started
+function checkGameSettings(rules, seed) {
+    resolveRules(rules);
+    if (seed !== undefined && seed !== null) {
+        normalizeSeed(seed);
+    }
+}
+
+// Rooms where players gather before a game, and that hold the game once it starts.
+// Until the start the lobby keeps the seating: each member is { connection, name, seat, ready },
+// and aiSeats holds the seats the host filled with AI players.
+// Watchers are spectator and god view connections, which never take a seat.
+// A resumed game uses its game ID as room ID; players rejoin any started game by its game ID.
+class Lobby {
+    constructor() {
+        this.rooms = new Map();
+    }
+
+    generateRoomId() {
+        let roomId;
+        do {
+            roomId = Math.random().toString(36).substring(2, 8);
+        } while (this.rooms.has(roomId));
+        return roomId;
+    }
+
+    getRoom(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room) {
+            throw new Error(`There is no room ${roomId}`);
+        }
+        return room;
+    }
+
+    // Every room; those not started with a free seat can be joined, and all can be watched
+    listRooms() {
+        return Array.from(this.rooms.values())
+            .map(room => ({
+                roomId: room.id,
+                board: room.board,
+                host: room.members.has(room.hostId) ? this.getMemberName(room.members.get(room.hostId)) : null,
+                players: room.members.size,
+                seats: room.seatCount,
+                started: room.started,
+                open: !room.started && this.getFreeSeats(room).length > 0
+            }));
+    }
+
+    // Creates a room for a board preset or custom role list, with the creator as host.
+    // Returns { roomId, playerId }.
+    createRoom(connection, { board = config.DEFAULT_BOARD, name = null } = {}) {
+        const room = this.addRoom(board);
+        room.hostId = this.addMember(room, connection, name);
+        this.broadcast(room);
+        return { roomId: room.id, playerId: room.hostId };
+    }
+
+    addRoom(board, id = this.generateRoomId()) {
+        const room = {
+            id,
+            hostId: null,
+            board,
+            seatCount: board ? resolveBoard(board).length : 0,
+            started: false,
+            members: new Map(),
+            watchers: new Set(),
+            aiSeats: new Set(),
+            gameManager: new GameManager()
+        };
+        this.rooms.set(room.id, room);
+        return room;
+    }
+
+    // A spectator sees what is said to the whole table; the god view, which needs
+    // the server's token, sees everything. Returns { roomId, mode }.
+    watchRoom(connection, roomId, { mode = 'spectator', token = null } = {}) {
+        const room = this.getRoom(roomId);
+        const viewer = this.authorizeViewer(mode, token);
+
+        room.watchers.add(connection);
+        room.gameManager.addWatcher(connection, viewer);
+        this.broadcast(room);
+        return { roomId, mode };
+    }
+
+    authorizeViewer(mode, token) {
+        if (mode === 'spectator') return SPECTATOR;
+        if (mode !== 'god') {
+            throw new Error(`Unknown watch mode: ${mode}`);
+        }
+
+        const expected = config.GOD_VIEW_TOKEN;
+        if (!expected) {
+            throw new Error('The god view is disabled on this server');
+        }
+        if (!tokensMatch(token, expected)) {
+            throw new Error('Invalid god view token');
+        }
+        return GOD;
+    }
+
+    unwatchRoom(roomId, connection) {
+        const room = this.rooms.get(roomId);
+        if (!room) return;
+
+        room.watchers.delete(connection);
+        room.gameManager.removeWatcher(connection);
+        if (!this.closeIfAbandoned(room)) {
+            this.broadcast(room);
+        }
+    }
+
+    // Starts a game of AI players only, for the connection to watch. Returns { roomId, mode }.
+    // Given the ID of a saved game to replay, it plays that game's board, rules and seed
+    // again, and the AI give the responses the model gave then.
+    async startAIGame(connection, { board = config.DEFAULT_BOARD, rules = {}, seed, replay, mode, token } = {}) {
+        const viewer = this.authorizeViewer(mode || 'spectator', token);
+        const recording = replay ? loadRecording(replay) : null;
+        if (recording) {
+            ({ board, rules, seed } = recording);
+        }
+        checkGameSettings(rules, seed);
+
+        const room = this.addRoom(board);
+        room.watchers.add(connection);
+        room.gameManager.addWatcher(connection, viewer);
+        for (const seat of this.getFreeSeats(room)) {
+            room.aiSeats.add(seat);
+        }
+        await this.launchGame(room, { rules, seed, responseReplay: recording?.responses });
+        return { roomId: room.id, mode: viewer.kind };
+    }
+
+    joinRoom(connection, roomId, name = null) {
+        const room = this.getRoom(roomId);
+        if (room.started) {
+            throw new Error(`The game in room ${roomId} has already started`);
+        }
+
+        const playerId = this.addMember(room, connection, name);
+        this.broadcast(room);
+        return { roomId, playerId };
+    }
+
+    // New members take the lowest free seat
+    addMember(room, connection, name) {
+        const [seat] = this.getFreeSeats(room);
+        if (!seat) {
+            throw new Error(`Room ${room.id} is full`);
+        }
+
+        let number = 1;
+        while (room.members.has(`human_${number}`)) number++;
+        const playerId = `human_${number}`;
+        room.members.set(playerId, { connection, name, seat, ready: false });
+        return playerId;
+    }
+
+    // The room playing a game, whether it was resumed under its game ID or is still running
+    // in the room it started in, or null
+    findGameRoom(gameId) {
+        return this.rooms.get(gameId)
+            || Array.from(this.rooms.values()).find(room => room.gameManager.gameId === gameId)
+            || null;
+    }
+
+    // Takes back a human seat in a saved game, resuming it if nobody has yet.
+    // A game still being played keeps its room, so it is never run twice.
+    // Returns { roomId, playerId }.
+    async resumeRoom(connection, gameId, resumeToken) {
+        let room = this.findGameRoom(gameId);
+        let playerId;
+
+        if (room) {
+            playerId = await room.gameManager.claimSeat(connection, resumeToken);
+        } else {
+            room = this.addRoom(null, gameId);
+            room.started = true;
+            try {
+                playerId = await room.gameManager.resumeGame(gameId, connection, resumeToken);
+            } catch (error) {
+                this.rooms.delete(gameId);
+                throw error;
+            }
+
+            const state = room.gameManager.state;
+            room.hostId = playerId;
+            room.board = [...state.board];
+            room.seatCount = state.players.size;
+        }
+
+        const player = room.gameManager.state.players.get(playerId);
+        room.members.set(playerId, { connection, name: player.name, seat: player.seat, ready: true });
+        this.broadcast(room);
+        return { roomId: room.id, playerId };
+    }
+
+    leaveRoom(roomId, playerId) {
+        const room = this.rooms.get(roomId);
+        if (!room) return;
+
+        room.members.delete(playerId);
+        room.gameManager.disconnect(playerId);
+        if (this.closeIfAbandoned(room)) return;
+
+        if (room.hostId === playerId) {
+            room.hostId = room.members.keys().next().value ?? null;
+        }
+        this.broadcast(room);
+    }
+
+    // A room is closed once nobody plays in it, unless its game runs on for watchers.
+    // A closed game stays saved and can be resumed. Returns whether the room was closed.
+    closeIfAbandoned(room) {
+        if (room.members.size > 0 || (room.started && room.watchers.size > 0)) {
+            return false;
+        }
+        room.gameManager.stop();
+        this.rooms.delete(room.id);
+        return true;
+    }
+
+    // A member may move to any seat no other human holds; an AI in that seat gives it up
+    pickSeat(roomId, playerId, seat) {
+        const { room, member } = this.getOpenRoomMember(roomId, playerId);
+        if (!Number.isInteger(seat) || seat < 1 || seat > room.seatCount) {
+            throw new Error(`Seat must be a number from 1 to ${room.seatCount}`);
+        }
+
+        const holder = Array.from(room.members.entries())
+            .find(([id, other]) => id !== playerId && other.seat === seat);
+        if (holder) {
+            throw new Error(`Seat ${seat} is taken by ${this.getMemberName(holder[1])}`);
+        }
+
+        room.aiSeats.delete(seat);
+        member.seat = seat;
+        this.broadcast(room);
+    }
+
+    toggleReady(roomId, playerId) {
+        const { room, member } = this.getOpenRoomMember(roomId, playerId);
+        member.ready = !member.ready;
+        this.broadcast(room);
+    }
+
+    fillWithAI(roomId, playerId) {
+        const { room } = this.getOpenRoomMember(roomId, playerId, true);
+        for (const seat of this.getFreeSeats(room)) {
+            room.aiSeats.add(seat);
+        }
+        this.broadcast(room);
+    }
+
+    // The host starts once every seat is taken and every other human is ready
+    async startGame(roomId, playerId, { rules = {}, seed } = {}) {
+        const { room } = this.getOpenRoomMember(roomId, playerId, true);
+
+        const freeSeats = this.getFreeSeats(room);
+        if (freeSeats.length > 0) {
+            throw new Error(`Seats ${freeSeats.join(', ')} are empty; fill them with AI players first`);
+        }
+        const waitingFor = Array.from(room.members.entries())
+            .filter(([id, member]) => id !== room.hostId && !member.ready)
+            .map(([, member]) => this.getMemberName(member));
+        if (waitingFor.length > 0) {
+            throw new Error(`Waiting for ${waitingFor.join(', ')} to be ready`);
+        }
+        checkGameSettings(rules, seed);
+
+        await this.launchGame(room, { rules, seed });
+    }
+
+    async launchGame(room, { rules, seed, responseReplay }) {
+        room.started = true;
+        const gameManager = room.gameManager;
+        for (const [memberId, member] of room.members) {
+            gameManager.addHumanPlayer(memberId, member.connection, member.name, member.seat);
+        }
+        for (const seat of room.aiSeats) {
+            gameManager.addAIPlayer(seat);
+        }
+        this.broadcast(room);
+
+        await gameManager.startGame({ board: room.board, rules, seed, responseReplay });
+    }
+
+    getOpenRoomMember(roomId, playerId, hostOnly = false) {
+        const room = this.getRoom(roomId);
+        const member = room.members.get(playerId);
+        if (!member) {
+            throw new Error(`You are not in room ${roomId}`);
+        }
+        if (room.started) {
+            throw new Error('The game has already started');
+        }
+        if (hostOnly && room.hostId !== playerId) {
+            throw new Error('Only the host can do that');
+        }
+        return { room, member };
+    }
+
+    getFreeSeats(room) {
+        const taken = Array.from(room.members.values()).map(member => member.seat);
+        const seats = [];
+        for (let seat = 1; seat <= room.seatCount; seat++) {
+            if (!taken.includes(seat) && !room.aiSeats.has(seat)) {
+                seats.push(seat);
+            }
+        }
+        return seats;
+    }
+
+    getMemberName(member) {
+        return member.name || `Player ${member.seat}`;
+    }
+
+    getSeats(room) {
+        // A started game's table is the game state's
+        if (room.started) {
+            return Array.from(room.gameManager.state.players.values())
+                .sort((a, b) => a.seat - b.seat)
+                .map(player => ({
+                    seat: player.seat,
+                    playerId: player.isAI ? null : player.id,
+                    name: player.name,
+                    isAI: player.isAI,
+                    ready: true
+                }));
+        }
+
+        const seats = [];
+        for (let seat = 1; seat <= room.seatCount; seat++) {
+            const entry = Array.from(room.members.entries()).find(([, member]) => member.seat === seat);
+            if (entry) {
+                const [playerId, member] = entry;
+                seats.push({ seat, playerId, name: this.getMemberName(member), isAI: false, ready: member.ready });
+            } else {
+                const isAI = room.aiSeats.has(seat);
+                seats.push({ seat, playerId: null, name: isAI ? `Player ${seat}` : null, isAI, ready: isAI });
+            }
+        }
+        return seats;
+    }
+
+    // Every member of the room gets the room's state after each change
+    broadcast(room) {
+        const message = JSON.stringify({
+            type: 'lobby_state',
+            roomId: room.id,
+            hostId: room.hostId,
+            board: room.board,
+            started: room.started,
+            seats: this.getSeats(room)
+        });
+        for (const member of room.members.values()) {
+            member.connection.ws.send(message);
+        }
+        for (const connection of room.watchers) {
+            connection.ws.send(message);
+        }
+    }
+}
+
+module.exports = Lobby;
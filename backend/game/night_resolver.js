@@ -0,0 +1,32 @@
+// Night actions are submitted as intents and only applied together at dawn.
+function createNightIntents() {
+    return {
+        guardProtect: null, // Player ID protected by the guard, null for no protection
+        wolfKill: null,     // Player ID chosen by the werewolves
+        seerCheck: null,    // Player ID checked by the seer
+        witchSave: false,   // Whether the witch used the antidote on the werewolves' target
+        witchPoison: null   // Player ID poisoned by the witch
+    };
+}
+
+// Returns the deaths of this night only as [{ playerId, cause }]
+function resolveNight(intents) {
+    const deaths = new Map();
+
+    // A single save from the guard or the witch stops the werewolves' kill,
+    // but a target who is both guarded and saved still dies
+    const isGuarded = Boolean(intents.guardProtect) && intents.guardProtect === intents.wolfKill;
+    const isSaved = Boolean(intents.witchSave);
+    if (intents.wolfKill && isGuarded === isSaved) {
+        deaths.set(intents.wolfKill, 'wolves');
+    }
+
+    // Poison wins over the werewolves' kill so that death effects see the right cause
+    if (intents.witchPoison) {
+        deaths.set(intents.witchPoison, 'poison');
+    }
+
+    return Array.from(deaths, ([playerId, cause]) => ({ playerId, cause }));
+}
+
+module.exports = { createNightIntents, resolveNight };
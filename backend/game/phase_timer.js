@@ -0,0 +1,51 @@
+const { EventEmitter } = require('events');
+
+// Seconds left on the clock when a warning is sent
+const WARNING_SECONDS = 10;
+
+// Counts down the time a human player has to act, one clock at a time.
+// Emits 'tick' every second and 'warning' when WARNING_SECONDS remain, then calls onTimeout.
+// Emits 'cleared' whenever a clock stops, whether it ran out or was answered.
+class PhaseTimer extends EventEmitter {
+    constructor() {
+        super();
+        this.interval = null;
+        this.current = null; // { name, playerId, remaining } while a clock is running
+    }
+
+    start(name, playerId, seconds, onTimeout) {
+        this.clear();
+        this.current = { name, playerId, remaining: seconds };
+        this.announce();
+
+        this.interval = setInterval(() => {
+            this.current.remaining--;
+            if (this.current.remaining <= 0) {
+                this.clear();
+                onTimeout();
+                return;
+            }
+            this.announce();
+        }, 1000);
+    }
+
+    announce() {
+        const tick = { ...this.current };
+        this.emit('tick', tick);
+        if (tick.remaining === WARNING_SECONDS) {
+            this.emit('warning', tick);
+        }
+    }
+
+    // Stops the running clock; with a name, only if that clock is the one running
+    clear(name = null) {
+        if (!this.current || (name && this.current.name !== name)) return;
+        const { name: clearedName, playerId } = this.current;
+        clearInterval(this.interval);
+        this.interval = null;
+        this.current = null;
+        this.emit('cleared', { name: clearedName, playerId });
+    }
+}
+
+module.exports = PhaseTimer;
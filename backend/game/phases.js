@@ -0,0 +1,131 @@
+const { isWerewolf } = require('./boards');
+
+// Who may take an action: each check gets the game state and the acting player's ID
+const anyLivingPlayer = (state, playerId) => state.isPlayerAlive(playerId);
+const livingWerewolf = (state, playerId) => isWerewolf(state.roles.get(playerId)) && state.isPlayerAlive(playerId);
+const livingRole = role => (state, playerId) => state.roles.get(playerId) === role && state.isPlayerAlive(playerId);
+const currentSpeaker = (state, playerId) => state.currentSpeaker === playerId;
+const policeChief = (state, playerId) => state.police === playerId && state.isPlayerAlive(playerId);
+const pendingVoter = (state, playerId) => state.voteVoters.includes(playerId) && !state.votes.has(playerId);
+
+// The phase graph: the phases each phase may move to, whether it is night,
+// and the actions players may take while it lasts.
+// Any phase of a started game may end in gameOver, since every death can decide the game.
+const PHASES = {
+    waiting: {
+        next: ['day'],
+        actions: {}
+    },
+    day: {
+        next: ['policeElection', 'deathAnnouncement'],
+        actions: {}
+    },
+    policeElection: {
+        next: ['night', 'selfDestruct'],
+        actions: { nominate: anyLivingPlayer, policeVote: anyLivingPlayer, selfDestruct: livingWerewolf }
+    },
+    night: {
+        isNight: true,
+        next: ['nightGuard', 'nightWerewolves'],
+        actions: {}
+    },
+    nightGuard: {
+        isNight: true,
+        next: ['nightWerewolves'],
+        actions: { guardProtect: livingRole('guard') }
+    },
+    nightWerewolves: {
+        isNight: true,
+        next: ['nightSeer', 'nightWitch', 'day'],
+        actions: { wolfKill: livingWerewolf }
+    },
+    nightSeer: {
+        isNight: true,
+        next: ['nightWitch', 'day'],
+        actions: { seerCheck: livingRole('seer') }
+    },
+    nightWitch: {
+        isNight: true,
+        next: ['day'],
+        actions: { witchSave: livingRole('witch'), witchPoison: livingRole('witch') }
+    },
+    deathAnnouncement: {
+        next: ['lastWords', 'speakingOrder', 'discussion'],
+        actions: {}
+    },
+    speakingOrder: {
+        next: ['discussion', 'selfDestruct'],
+        actions: { chooseSpeakingOrder: policeChief, selfDestruct: livingWerewolf }
+    },
+    discussion: {
+        next: ['voting', 'selfDestruct'],
+        actions: { speak: currentSpeaker, selfDestruct: livingWerewolf }
+    },
+    voting: {
+        next: ['pk', 'lastWords', 'night'],
+        actions: { vote: pendingVoter }
+    },
+    pk: {
+        next: ['voting', 'selfDestruct'],
+        actions: { speak: currentSpeaker, selfDestruct: livingWerewolf }
+    },
+    lastWords: {
+        next: ['night', 'speakingOrder', 'discussion'],
+        actions: { speak: currentSpeaker }
+    },
+    selfDestruct: {
+        next: ['night'],
+        actions: {}
+    },
+    gameOver: {
+        next: [],
+        actions: {}
+    }
+};
+
+// Conditions that must hold before a phase can be entered
+const PHASE_GUARDS = {
+    policeElection: state => state.currentDay === 1,
+    nightGuard: state => Boolean(state.findLivingPlayerWithRole('guard')),
+    nightSeer: state => Boolean(state.findLivingPlayerWithRole('seer')),
+    nightWitch: state => Boolean(state.findLivingPlayerWithRole('witch')),
+    speakingOrder: state => Boolean(state.police) && state.isPlayerAlive(state.police),
+    pk: state => state.pkRound < state.rules.pkRounds
+};
+
+function isNightPhase(phase) {
+    return Boolean(PHASES[phase] && PHASES[phase].isNight);
+}
+
+// Returns why the move is illegal, or null when it is allowed
+function getTransitionError(state, to) {
+    const from = state.phase;
+    if (!PHASES[to]) {
+        return `Unknown phase: ${to}`;
+    }
+
+    const endsGame = to === 'gameOver' && from !== 'waiting' && from !== 'gameOver';
+    if (!endsGame && !PHASES[from].next.includes(to)) {
+        return `Illegal phase transition from ${from} to ${to}`;
+    }
+
+    const guard = PHASE_GUARDS[to];
+    if (guard && !guard(state)) {
+        return `Cannot enter ${to} from ${from}: its condition is not met`;
+    }
+    return null;
+}
+
+// Actions the player may take in the current phase
+function getAllowedActions(state, playerId) {
+    const actions = PHASES[state.phase].actions;
+    return Object.keys(actions)
+        .filter(action => actions[action](state, playerId));
+}
+
+module.exports = {
+    PHASES,
+    isNightPhase,
+    getTransitionError,
+    getAllowedActions
+};
@@ -0,0 +1,70 @@
+// Seeded random numbers so a game can be replayed from its seed.
+// Uses mulberry32: small, fast and good enough for shuffling and coin flips.
+
+function generateSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+// Seeds may be numbers or strings; strings are hashed to a 32-bit number
+function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+
+    if (typeof seed === 'string' && seed.length > 0) {
+        let hash = 2166136261;
+        for (let i = 0; i < seed.length; i++) {
+            hash = Math.imul(hash ^ seed.charCodeAt(i), 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    throw new Error(`Game seed must be a number or a non-empty string, got ${JSON.stringify(seed)}`);
+}
+
+// A saved position continues the sequence where a saved game left off
+function createRandom(seed, position = null) {
+    let state = position === null ? normalizeSeed(seed) : position >>> 0;
+
+    // Returns a float in [0, 1), like Math.random()
+    function next() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    return {
+        seed,
+        next,
+        getPosition() {
+            return state;
+        },
+        // Integer in [0, max)
+        int(max) {
+            return Math.floor(next() * max);
+        },
+        // True with the given probability
+        chance(probability) {
+            return next() < probability;
+        },
+        pick(items) {
+            return items[Math.floor(next() * items.length)];
+        },
+        // Fisher-Yates shuffle in place
+        shuffle(items) {
+            for (let i = items.length - 1; i > 0; i--) {
+                const j = Math.floor(next() * (i + 1));
+                [items[i], items[j]] = [items[j], items[i]];
+            }
+            return items;
+        }
+    };
+}
+
+module.exports = {
+    generateSeed,
+    normalizeSeed,
+    createRandom
+};
@@ -0,0 +1,47 @@
+const gameStore = require('./game_store');
+
+// The model responses a saved game recorded, handed back to each AI in the order it gave them.
+// Started again with the recorded board, rules and seed, the game then plays out as it did
+// without calling the model.
+class ResponseReplay {
+    constructor(events) {
+        this.responses = new Map(); // Map of AI player ID to their recorded responses, oldest first
+        for (const event of events) {
+            if (event.type !== 'aiResponse') continue;
+
+            const { playerId, response } = event.payload;
+            if (!this.responses.has(playerId)) {
+                this.responses.set(playerId, []);
+            }
+            this.responses.get(playerId).push(response);
+        }
+    }
+
+    // A response provider for one AI character; it fails like the model would once the recording runs out
+    forPlayer(playerId) {
+        return async () => {
+            const responses = this.responses.get(playerId);
+            if (!responses || responses.length === 0) {
+                throw new Error(`The recording has no more responses for ${playerId}`);
+            }
+            return responses.shift();
+        };
+    }
+}
+
+// Returns { board, rules, seed, responses } to start a saved game again
+function loadRecording(gameId) {
+    const { events } = gameStore.loadGame(gameId);
+    const configured = events.find(event => event.type === 'gameConfigured');
+    if (!configured) {
+        throw new Error(`Game ${gameId} was saved before it started and cannot be replayed`);
+    }
+
+    const { board, rules, seed } = configured.payload;
+    return { board, rules, seed, responses: new ResponseReplay(events) };
+}
+
+module.exports = {
+    ResponseReplay,
+    loadRecording
+};
@@ -0,0 +1,60 @@
+// Rule options that can be changed per game through the start_game message
+const DEFAULT_RULES = {
+    // Number of PK (tie-break) rounds before a tied vote ends with no exile
+    pkRounds: 1,
+    // How much the police chief's vote counts in the exile vote
+    policeVoteWeight: 1.5,
+    // Whether players killed on the first night get last words (exiled players always do)
+    firstNightLastWords: true,
+    // Time a human player has for their last words
+    lastWordsSeconds: 60,
+    // Time a human player has for a discussion or PK speech before it is skipped
+    speechSeconds: 90,
+    // Time a human player has to vote before they abstain
+    voteSeconds: 30,
+    // Time a human player has for a night action or another decision before they take no action
+    actionSeconds: 30,
+    // Turns each werewolf takes in the werewolves' night discussion before they confirm the kill
+    wolfChatRounds: 1,
+    // 'sideKill': werewolves win once all villagers or all gods are dead
+    // 'cityKill': werewolves win once every non-werewolf is dead
+    winCondition: 'sideKill',
+    // When the witch may use the antidote on herself: 'never', 'firstNight' or 'always'
+    witchSelfSave: 'firstNight',
+    // Whether the witch may use the antidote and the poison in the same night
+    witchDualPotion: false,
+    // Whether the witch is told who the werewolves attacked
+    witchKnowsVictim: true,
+    // Whether a poisoned hunter loses their shot
+    hunterBlockedByPoison: true
+};
+
+// Allowed values for rules that are not free-form
+const RULE_CHOICES = {
+    winCondition: ['sideKill', 'cityKill'],
+    witchSelfSave: ['never', 'firstNight', 'always']
+};
+
+function resolveRules(overrides = {}) {
+    const rules = { ...DEFAULT_RULES };
+
+    for (const [key, value] of Object.entries(overrides || {})) {
+        if (!(key in DEFAULT_RULES)) {
+            throw new Error(`Unknown game rule: ${key}`);
+        }
+        if (typeof value !== typeof DEFAULT_RULES[key]) {
+            throw new Error(`Game rule ${key} must be a ${typeof DEFAULT_RULES[key]}`);
+        }
+        if (key.endsWith('Seconds') && !(value > 0)) {
+            throw new Error(`Game rule ${key} must be a positive number of seconds`);
+        }
+        if (RULE_CHOICES[key] && !RULE_CHOICES[key].includes(value)) {
+            throw new Error(`Game rule ${key} must be one of: ${RULE_CHOICES[key].join(', ')}`);
+        }
+        rules[key] = value;
+    }
+
+    return rules;
+}
+
+module.exports = { DEFAULT_RULES, resolveRules };
@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+
+// Secrets given to clients, such as the god view token and the resume token of a seat
+
+function createToken() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+// Compared in constant time, so how long a check takes gives nothing about the token away
+function tokensMatch(given, expected) {
+    const a = Buffer.from(String(given ?? ''));
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+    createToken,
+    tokensMatch
+};
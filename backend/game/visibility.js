@@ -0,0 +1,49 @@
+const { isWerewolf } = require('./boards');
+
+// Everyone who receives game messages is a viewer: a seated player, a spectator who
+// sees only what is said to the whole table, or the god view that sees everything.
+const SPECTATOR = Object.freeze({ kind: 'spectator' });
+const GOD = Object.freeze({ kind: 'god' });
+
+function playerViewer(playerId) {
+    return { kind: 'player', playerId };
+}
+
+// Deaths announced together with the role
+const REVEALING_DEATHS = ['exile', 'selfDestruct'];
+
+// Whether a message for an audience may reach a viewer.
+// The audience is null for the whole table, or the IDs of the players a private message is for.
+function canSee(viewer, audience) {
+    if (viewer.kind === 'god' || !audience) return true;
+    return viewer.kind === 'player' && audience.includes(viewer.playerId);
+}
+
+function isRoleRevealed(state, playerId) {
+    const player = state.players.get(playerId);
+    return REVEALING_DEATHS.includes(state.deathCauses.get(playerId))
+        || (state.getPlayerRole(playerId) === 'idiot' && !player.canVote);
+}
+
+// The role of a player as a viewer knows it, or null when the viewer must not learn it.
+// Players know their own role and werewolves know each other; roles revealed at the
+// table are known to all, and every role is once the game is over.
+function getVisibleRole(state, viewer, playerId) {
+    const role = state.getPlayerRole(playerId);
+    if (viewer.kind === 'god' || state.isGameOver() || isRoleRevealed(state, playerId)) {
+        return role;
+    }
+    if (viewer.kind !== 'player') return null;
+    if (viewer.playerId === playerId) return role;
+
+    const viewerRole = state.getPlayerRole(viewer.playerId);
+    return isWerewolf(role) && isWerewolf(viewerRole) ? role : null;
+}
+
+module.exports = {
+    SPECTATOR,
+    GOD,
+    playerViewer,
+    canSee,
+    getVisibleRole
+};
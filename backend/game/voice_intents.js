@@ -0,0 +1,242 @@
+// Offline recognition of game commands in speech transcripts, in Chinese and English.
+// A transcript is split into clauses and each clause is matched against keyword rules,
+// giving intents such as { type: 'target', seat: 3, action: 'vote', confidence: 0.95, coverage: 1 }.
+// Coverage is how much of its clause the intent explains, 1 when the clause is nothing but the command.
+// Intent types: selfDestruct, claimRole, pass, save, target, no, yes, and unknown when nothing matched.
+
+// Intents below this confidence are too unsure to act on
+const MIN_CONFIDENCE = 0.5;
+
+const CHINESE_DIGITS = {
+    '零': 0, '〇': 0, '一': 1, '幺': 1, '二': 2, '两': 2, '三': 3, '四': 4,
+    '五': 5, '六': 6, '七': 7, '八': 8, '九': 9
+};
+const CHINESE_NUMBER = '[零〇一幺二两三四五六七八九十]+';
+
+const ENGLISH_NUMBERS = [
+    'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+    'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen',
+    'nineteen', 'twenty'
+];
+const ENGLISH_NUMBER = `(?:${ENGLISH_NUMBERS.join('|')})`;
+
+const CLAUSE_SEPARATORS = /[,，、。!！?？;；]|\.(?!\d)|\b(?:and|then)\b|然后|并且/i;
+
+// Words that carry no meaning of their own, ignored when measuring how much of a clause matched
+const FILLERS = /\s|我|嗯|呃|啊|吧|了|的|呢|\b(?:i|um|uh|please|well)\b/gi;
+
+const SELF_DESTRUCT = /自爆|self[- ]?destruct/i;
+
+// A claim is "I am" followed by a role; wolf king comes before werewolf so it is not read as a plain wolf
+const CLAIM = /我(?:的身份)?就?是|\bi(?:'m| am)\b/i;
+const ROLES = [
+    ['wolfKing', /狼王|wolf ?king/i],
+    ['werewolf', /狼人|狼|were ?wolf|\bwolf\b/i],
+    ['seer', /预言家|seer|prophet/i],
+    ['witch', /女巫|witch/i],
+    ['hunter', /猎人|hunter/i],
+    ['guard', /守卫|guard/i],
+    ['idiot', /白痴|idiot/i],
+    ['villager', /村民|平民|villager/i]
+];
+const NEGATED_CLAIM = /^\s*(?:not\b|不)/i;
+
+const PASS = /^(?:我)?(?:过|跳过)(?:了)?$|\bpass\b|\bskip\b|弃票|弃权|abstain|\bnobody\b|\bno one\b|不投|空刀|不开枪|不救|不验|谁也不|don'?t save/i;
+const SAVE = /救|\bsave\b|antidote|解药/i;
+const NO = /^(?:no|nope|nah)\b|\b(?:don'?t|won'?t|can'?t|cannot)\b|\bnot\b|不要|不上警|不竞选|不想|不用|^不$/i;
+const YES = /^(?:yes|yeah|yep|sure|ok|okay)\b|nominate|run for|上警|竞选|^(?:是|是的|好|好的|对|要|可以|嗯)$/i;
+
+// Verbs that say what a seat is chosen for
+const ACTIONS = [
+    ['handOverBadge', /警徽给?|移交警徽|badge/i],
+    ['vote', /投票?给?|归票|\bvote(?: for)?/i],
+    ['seerCheck', /验|查验?|\bcheck\b|investigate/i],
+    ['witchPoison', /毒|poison/i],
+    ['shoot', /开枪|带走?|枪|shoot/i],
+    ['wolfKill', /刀|杀|\bkill\b|\bbite\b/i],
+    ['guardProtect', /守护?|保护?|protect|\bguard\b/i]
+];
+
+// Seats written as 3号, 十二号, seat 3 or player three are certain; a bare number less so
+const SEAT_PATTERNS = [
+    { pattern: new RegExp(`(\\d+|${CHINESE_NUMBER})\\s*号`), confidence: 0.95 },
+    { pattern: new RegExp(`(?:seat|player|number|no\\.?|#)\\s*(\\d+|${ENGLISH_NUMBER})\\b`, 'i'), confidence: 0.95 },
+    { pattern: /(\d+)/, confidence: 0.8 },
+    { pattern: new RegExp(`^(${ENGLISH_NUMBER})$`, 'i'), confidence: 0.8 }
+];
+
+// 十 is ten, 十二 twelve, 二十三 twenty-three; other numerals are read digit by digit
+function parseChineseNumber(text) {
+    const tens = text.indexOf('十');
+    if (tens === -1) {
+        return [...text].reduce((number, digit) => number * 10 + CHINESE_DIGITS[digit], 0);
+    }
+    if (text.indexOf('十', tens + 1) !== -1 || text.length - tens > 2 || tens > 1) return NaN;
+
+    const high = tens === 0 ? 1 : CHINESE_DIGITS[text[0]];
+    const low = tens === text.length - 1 ? 0 : CHINESE_DIGITS[text[tens + 1]];
+    return high * 10 + low;
+}
+
+function parseNumber(text) {
+    if (/^\d+$/.test(text)) return parseInt(text);
+
+    const english = ENGLISH_NUMBERS.indexOf(text.toLowerCase());
+    if (english !== -1) return english;
+
+    const number = parseChineseNumber(text);
+    return Number.isNaN(number) ? null : number;
+}
+
+// How much of the clause the match explains
+function measureCoverage(clause, matched) {
+    const meaningful = clause.replace(FILLERS, '').length;
+    return meaningful === 0 ? 1 : Math.min(1, matched.replace(FILLERS, '').length / meaningful);
+}
+
+// A clause that is nothing but the command is certain
+function scoreMatch(coverage, confidence) {
+    return Math.round(confidence * (0.7 + 0.3 * coverage) * 100) / 100;
+}
+
+function findAction(clause) {
+    for (const [action, pattern] of ACTIONS) {
+        const match = clause.match(pattern);
+        if (match) return { action, match };
+    }
+    return null;
+}
+
+// A seat right after the verb, such as 验五 or kill three, counts like an explicit seat
+function findSeatAfterAction(clause, found) {
+    const rest = clause.slice(found.match.index + found.match[0].length);
+    const match = rest.match(new RegExp(`^\\s*(\\d+|${ENGLISH_NUMBER}\\b|${CHINESE_NUMBER}(?![\\u4e00-\\u9fff]))\\s*号?`, 'i'));
+    if (!match) return null;
+
+    const seat = parseNumber(match[1]);
+    return seat === null ? null : { seat, matched: found.match[0] + match[0], confidence: 0.95 };
+}
+
+// Names are matched longest first, so "Player 12" wins over "Player 1"
+function findSeatByName(clause, players) {
+    const lower = clause.toLowerCase();
+    const player = [...players]
+        .filter(p => p.name)
+        .sort((a, b) => b.name.length - a.name.length)
+        .find(p => lower.includes(p.name.toLowerCase()));
+    return player ? { seat: player.seat, matched: player.name, confidence: 0.85 } : null;
+}
+
+function findSeat(clause, players, found) {
+    const afterAction = found && findSeatAfterAction(clause, found);
+    if (afterAction) return afterAction;
+
+    const byName = findSeatByName(clause, players);
+    if (byName) {
+        return found ? { ...byName, matched: found.match[0] + byName.matched } : byName;
+    }
+
+    for (const { pattern, confidence } of SEAT_PATTERNS) {
+        const match = clause.match(pattern);
+        if (!match) continue;
+
+        const seat = parseNumber(match[1]);
+        if (seat !== null) {
+            const matched = found ? found.match[0] + match[0] : match[0];
+            return { seat, matched, confidence };
+        }
+    }
+    return null;
+}
+
+function findClaim(clause) {
+    const claim = clause.match(CLAIM);
+    if (!claim) return null;
+
+    const rest = clause.slice(claim.index + claim[0].length);
+    if (NEGATED_CLAIM.test(rest)) return null;
+
+    for (const [role, pattern] of ROLES) {
+        const match = rest.match(pattern);
+        if (match) return { role, matched: claim[0] + match[0] };
+    }
+    return null;
+}
+
+function parseClause(clause, players) {
+    const intent = (type, matched, confidence, fields = {}) => {
+        const coverage = measureCoverage(clause, matched);
+        return { type, ...fields, confidence: scoreMatch(coverage, confidence), coverage, text: clause };
+    };
+
+    const selfDestruct = clause.match(SELF_DESTRUCT);
+    if (selfDestruct) return intent('selfDestruct', selfDestruct[0], 0.95);
+
+    const claim = findClaim(clause);
+    if (claim) return intent('claimRole', claim.matched, 0.9, { role: claim.role });
+
+    const pass = clause.match(PASS);
+    if (pass) return intent('pass', pass[0], 0.9);
+
+    const action = findAction(clause);
+    const seat = findSeat(clause, players, action);
+    if (seat) {
+        return intent('target', seat.matched, seat.confidence, { seat: seat.seat, action: action ? action.action : null });
+    }
+
+    const save = clause.match(SAVE);
+    if (save) return intent('save', save[0], 0.9);
+
+    const no = clause.match(NO);
+    if (no) return intent('no', no[0], 0.9);
+
+    const yes = clause.match(YES);
+    if (yes) return intent('yes', yes[0], 0.9);
+
+    return null;
+}
+
+// Recognizes every intent in a transcript, in the order spoken.
+// Players are { seat, name } so that names can stand for seats.
+function parseIntents(text, players = []) {
+    const normalized = String(text ?? '')
+        .replace(/[０-９]/g, digit => String.fromCharCode(digit.charCodeAt(0) - 0xFEE0))
+        .trim();
+
+    const intents = normalized
+        .split(CLAUSE_SEPARATORS)
+        .filter(clause => clause && clause.trim())
+        .map(clause => parseClause(clause.trim(), players))
+        .filter(Boolean);
+
+    return intents.length > 0 ? intents : [{ type: 'unknown', confidence: 0, coverage: 0, text: normalized }];
+}
+
+// The first intent of one of the given types that is sure enough to act on
+function findIntent(intents, ...types) {
+    return intents.find(intent => types.includes(intent.type) && intent.confidence >= MIN_CONFIDENCE) || null;
+}
+
+// The target the speaker most likely means for an action: the surest one named for that action,
+// so "I think 3 is a wolf, I vote 5" votes for 5. A seat named for nothing in particular counts
+// only when it is the whole clause, such as "5号", so a remark like "I don't trust player 5" is not a choice.
+function findTarget(intents, action = null) {
+    const targets = intents.filter(intent => intent.type === 'target' && intent.confidence >= MIN_CONFIDENCE);
+    const matching = targets.filter(intent => intent.action === action);
+    const candidates = matching.length > 0 ? matching : targets.filter(intent => intent.action === null && intent.coverage === 1);
+    return candidates.reduce((best, intent) => !best || intent.confidence > best.confidence ? intent : best, null);
+}
+
+// Whether the whole transcript is one command of the given type and nothing else,
+// so that merely talking about the command, such as "I think 3 will self-destruct", is not it
+function isWholeCommand(intents, type) {
+    return intents.length === 1 && intents[0].type === type && intents[0].coverage === 1;
+}
+
+module.exports = {
+    MIN_CONFIDENCE,
+    parseIntents,
+    findIntent,
+    findTarget,
+    isWholeCommand
+};
@@ -0,0 +1,30 @@
+// Count a map of voter ID -> target ID. A null target is an abstention.
+// Voters missing from weights count as one vote.
+// Returns every target sharing the highest count so callers can decide how to break ties.
+function tallyVotes(votes, weights = new Map()) {
+    const counts = new Map();
+    const abstentions = [];
+
+    for (const [voterId, targetId] of votes) {
+        if (!targetId) {
+            abstentions.push(voterId);
+            continue;
+        }
+        counts.set(targetId, (counts.get(targetId) || 0) + (weights.get(voterId) || 1));
+    }
+
+    let topCount = 0;
+    let leaders = [];
+    for (const [targetId, count] of counts) {
+        if (count > topCount) {
+            topCount = count;
+            leaders = [targetId];
+        } else if (count === topCount) {
+            leaders.push(targetId);
+        }
+    }
+
+    return { counts, leaders, topCount, abstentions };
+}
+
+module.exports = { tallyVotes };
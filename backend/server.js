@@ -7,7 +7,8 @@ const { preprocessSentence } = require('./utils/textProcessor');
 const fs = require('fs');
 const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
-const GameManager = require('./game/game_manager');
+const Lobby = require('./game/lobby');
+const gameStore = require('./game/game_store');
 
 // Import franc dynamically at the top level
 let franc;
@@ -20,6 +21,16 @@ const app = express();
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server });
 
+// Game rooms players create, join and play in
+const lobby = new Lobby();
+
+// Messages handled by the lobby; their errors are sent back to the client
+const LOBBY_MESSAGES = [
+  'list_rooms', 'create_room', 'join_room', 'leave_room',
+  'pick_seat', 'toggle_ready', 'fill_ai', 'start_game', 'list_saved_games', 'resume_game',
+  'watch_room', 'start_ai_game'
+];
+
 // Create a connection handler class to manage state for each connection
 class ConnectionHandler {
   constructor(ws) {
@@ -55,14 +66,117 @@ class ConnectionHandler {
     this.lastSyncedHistoryLength = 0;  // Track how much of history has been synced
     this.lastSyncedHistory = [];  // Keep track of last synced state
 
-    // Initialize game manager
-    this.gameManager = new GameManager(this);
+    // The room this connection plays in, and its seat there
+    this.gameManager = null;
+    this.roomId = null;
     this.playerId = null;
 
     this.setupWebSocketHandlers();
     this.connectToASR();
   }
 
+  // Let the client offer to resume games that were cut off by a restart,
+  // only those it holds a resume token for
+  offerSavedGames(resumeTokens) {
+    const tokens = Array.isArray(resumeTokens) ? resumeTokens.map(String) : [];
+    const games = gameStore.listUnfinishedGames(tokens);
+    if (games.length > 0) {
+      this.ws.send(JSON.stringify({ type: 'saved_games', games }));
+    }
+  }
+
+  async handleLobbyMessage(jsonMessage) {
+    switch (jsonMessage.type) {
+      case 'list_rooms':
+        this.ws.send(JSON.stringify({ type: 'room_list', rooms: lobby.listRooms() }));
+        break;
+
+      case 'create_room':
+        this.leaveRoom();
+        this.enterRoom(lobby.createRoom(this, { board: jsonMessage.board, name: jsonMessage.name }));
+        break;
+
+      case 'join_room':
+        this.leaveRoom();
+        this.enterRoom(lobby.joinRoom(this, jsonMessage.roomId, jsonMessage.name));
+        break;
+
+      case 'leave_room':
+        this.leaveRoom();
+        break;
+
+      case 'pick_seat':
+        lobby.pickSeat(this.roomId, this.playerId, jsonMessage.seat);
+        break;
+
+      case 'toggle_ready':
+        lobby.toggleReady(this.roomId, this.playerId);
+        break;
+
+      case 'fill_ai':
+        lobby.fillWithAI(this.roomId, this.playerId);
+        break;
+
+      case 'start_game':
+        // A player who has not joined a room plays alone with the AI
+        if (!this.roomId) {
+          this.enterRoom(lobby.createRoom(this, { board: jsonMessage.board, name: jsonMessage.name }));
+          lobby.fillWithAI(this.roomId, this.playerId);
+        }
+        await lobby.startGame(this.roomId, this.playerId, {
+          rules: jsonMessage.rules,
+          seed: jsonMessage.seed
+        });
+        break;
+
+      case 'list_saved_games':
+        this.offerSavedGames(jsonMessage.resumeTokens);
+        break;
+
+      case 'resume_game':
+        this.leaveRoom();
+        this.enterRoom(await lobby.resumeRoom(this, jsonMessage.gameId, jsonMessage.resumeToken));
+        break;
+
+      case 'watch_room':
+        this.leaveRoom();
+        this.enterRoom(lobby.watchRoom(this, jsonMessage.roomId, { mode: jsonMessage.mode, token: jsonMessage.token }));
+        break;
+
+      case 'start_ai_game':
+        this.leaveRoom();
+        this.enterRoom(await lobby.startAIGame(this, {
+          board: jsonMessage.board,
+          rules: jsonMessage.rules,
+          seed: jsonMessage.seed,
+          replay: jsonMessage.replay,
+          mode: jsonMessage.mode,
+          token: jsonMessage.token
+        }));
+        break;
+    }
+  }
+
+  // A connection either plays in a room or watches it, as a spectator or the god view
+  enterRoom({ roomId, playerId = null, mode = 'player' }) {
+    this.roomId = roomId;
+    this.playerId = playerId;
+    this.gameManager = lobby.getRoom(roomId).gameManager;
+    this.ws.send(JSON.stringify({ type: 'room_joined', roomId, playerId, mode }));
+  }
+
+  leaveRoom() {
+    if (!this.roomId) return;
+    if (this.playerId) {
+      lobby.leaveRoom(this.roomId, this.playerId);
+    } else {
+      lobby.unwatchRoom(this.roomId, this);
+    }
+    this.gameManager = null;
+    this.roomId = null;
+    this.playerId = null;
+  }
+
   setupWebSocketHandlers() {
     this.ws.on('message', this.handleMessage.bind(this));
     this.ws.on('close', this.handleClose.bind(this));
@@ -83,18 +197,33 @@ class ConnectionHandler {
         return;
       }
 
-      // Handle game-related messages
-      if (jsonMessage.type === 'start_game') {
-        this.playerId = jsonMessage.playerId || 'human_player';
-        await this.gameManager.startGame(this.playerId);
+      // Handle lobby messages, which create, join and start game rooms
+      if (LOBBY_MESSAGES.includes(jsonMessage.type)) {
+        try {
+          await this.handleLobbyMessage(jsonMessage);
+        } catch (error) {
+          console.error(`Error handling ${jsonMessage.type}:`, error);
+          this.ws.send(JSON.stringify({ type: 'error', message: error.message }));
+        }
         return;
       }
 
-      if (jsonMessage.type === 'player_input') {
+      // Handle game-related messages
+      if (jsonMessage.type === 'player_input' && this.playerId) {
         await this.gameManager.handleHumanInput(this.playerId, jsonMessage.message);
         return;
       }
 
+      if (jsonMessage.type === 'night_action' && this.playerId) {
+        await this.gameManager.handleHumanNightAction(this.playerId, jsonMessage);
+        return;
+      }
+
+      if (jsonMessage.type === 'self_destruct' && this.playerId) {
+        await this.gameManager.handleSelfDestructRequest(this.playerId);
+        return;
+      }
+
       console.log('Received JSON message:', jsonMessage);
     } catch (e) {
       // If not JSON, treat as binary data
@@ -130,6 +259,7 @@ class ConnectionHandler {
   }
 
   cleanup() {
+    this.leaveRoom();
     if (this.asrWs && this.isASRConnected) {
       try {
         this.asrWs.close();
@@ -189,8 +319,9 @@ class ConnectionHandler {
       
       this.logEvent('transcript', { text: transcript, isFinal: is_final, messageId: this.currentMessageId });
 
-      // If this is a final transcript and it's the player's turn, forward it to the game manager
-      if (is_final && this.playerId && this.gameManager.state.currentSpeaker === this.playerId) {
+      // Forward final transcripts to this player's game, which decides whether the player may act;
+      // spectators have no seat to act for
+      if (is_final && this.playerId) {
         await this.gameManager.handleHumanInput(this.playerId, transcript);
       }
     } else if (result.type === 'speech_start') {
@@ -958,4 +1089,9 @@ wss.on('connection', (ws) => {
 const port = process.env.PORT || 3000;
 server.listen(port, () => {
   console.log(`Server is running on port ${port}`);
+
+  const savedGames = gameStore.listUnfinishedGames();
+  if (savedGames.length > 0) {
+    console.log(`${savedGames.length} unfinished game(s) can be resumed:`, savedGames.map(game => game.gameId).join(', '));
+  }
 });
@@ -26,10 +26,92 @@ interface TabButtonProps {
   children: React.ReactNode;
 }
 
+const BOARD_OPTIONS = ['6-simple', '9-standard', '12-guard-idiot', '12-wolf-king'];
+
+// The server gives each human a secret per game that takes their seat back after a restart
+const RESUME_TOKENS_KEY = 'resumeTokens';
+
+const loadResumeTokens = (): Record<string, string> => {
+  try {
+    return JSON.parse(localStorage.getItem(RESUME_TOKENS_KEY) || '{}');
+  } catch (error) {
+    return {};
+  }
+};
+
+const saveResumeToken = (gameId: string, token: string) => {
+  localStorage.setItem(RESUME_TOKENS_KEY, JSON.stringify({ ...loadResumeTokens(), [gameId]: token }));
+};
+
+interface SavedGame {
+  gameId: string;
+  savedAt: string;
+  phase: string;
+  day: number;
+  playerCount: number;
+}
+
+interface LobbySeat {
+  seat: number;
+  playerId: string | null;
+  name: string | null;
+  isAI: boolean;
+  ready: boolean;
+}
+
+interface LobbyState {
+  roomId: string;
+  hostId: string;
+  board: string | string[];
+  started: boolean;
+  seats: LobbySeat[];
+}
+
+interface OpenRoom {
+  roomId: string;
+  board: string | string[];
+  host: string;
+  players: number;
+  seats: number;
+  started: boolean;
+  open: boolean;
+}
+
+// What the god view learns about every seat
+interface RoleEntry {
+  playerId: string;
+  seat: number;
+  name: string;
+  role: string;
+}
+
+type ViewMode = 'player' | 'spectator' | 'god';
+
+interface NightTarget {
+  playerId: string;
+  seat: number;
+  name: string;
+}
+
+// Sent when this player has a night action or a shot to take
+interface NightActionRequest {
+  action: string;
+  targets: NightTarget[];
+  options: {
+    canSkip?: boolean;
+    victim?: NightTarget | null;
+    canSave?: boolean;
+    canPoison?: boolean;
+    canUseBoth?: boolean;
+  };
+  seconds: number;
+}
+
 interface SpeakerInfo {
   speaker: string;
   name: string;
-  role: string;
+  // Null unless this client is allowed to know the speaker's role
+  role: string | null;
 }
 
 const CodeBlock = ({ node, inline, className, children, ...props }) => {
@@ -104,7 +186,28 @@ export default function Home() {
   const [currentSpeakerInfo, setCurrentSpeakerInfo] = useState<SpeakerInfo | null>(null);
   const [playerRole, setPlayerRole] = useState<string | null>(null);
   const [gamePhase, setGamePhase] = useState<string>('waiting');
+  // Actions the server allows this player in the current phase
+  const [allowedActions, setAllowedActions] = useState<string[]>([]);
   const [notification, setNotification] = useState<string | null>(null);
+  const [board, setBoard] = useState<string>('9-standard');
+  const [policeChief, setPoliceChief] = useState<string | null>(null);
+  // Unfinished games the server can resume after a restart
+  const [savedGames, setSavedGames] = useState<SavedGame[]>([]);
+  // Seconds left on the server's clock for this player's speech, vote or action
+  const [timeLeft, setTimeLeft] = useState<number | null>(null);
+  // The shared game room this client plays in, and its seat there
+  const [roomCode, setRoomCode] = useState<string>('');
+  const [roomId, setRoomId] = useState<string | null>(null);
+  const [lobby, setLobby] = useState<LobbyState | null>(null);
+  const [openRooms, setOpenRooms] = useState<OpenRoom[]>([]);
+  const playerIdRef = useRef<string | null>(null);
+  // Watchers take no seat: spectators see the public table, the god view sees everything
+  const [viewMode, setViewMode] = useState<ViewMode>('player');
+  const [godToken, setGodToken] = useState<string>('');
+  const [roles, setRoles] = useState<RoleEntry[]>([]);
+  // The night action this player is asked for; the last one is kept to offer again after a rejection
+  const [nightRequest, setNightRequest] = useState<NightActionRequest | null>(null);
+  const lastNightRequestRef = useRef<NightActionRequest | null>(null);
 
   const addLog = useCallback((message: string, type: string = 'info') => {
     setLogs(logs => [...logs, `[${type}] ${message}`]);
@@ -125,14 +228,15 @@ export default function Home() {
     if (speakerInfo.speaker === 'Moderator') {
       return 'Moderator';
     }
-    return `${speakerInfo.name} (${speakerInfo.role})`;
+    return speakerInfo.role ? `${speakerInfo.name} (${speakerInfo.role})` : speakerInfo.name;
   };
 
-  const getSpeakerColor = (role: string) => {
+  const getSpeakerColor = (role: string | null) => {
     switch (role) {
       case 'Moderator':
         return '#4a5568'; // Gray
       case 'werewolf':
+      case 'wolfKing':
         return '#e53e3e'; // Red
       case 'seer':
         return '#805ad5'; // Purple
@@ -140,6 +244,8 @@ export default function Home() {
         return '#38a169'; // Green
       case 'hunter':
         return '#d69e2e'; // Yellow
+      case 'guard':
+        return '#319795'; // Teal
       case 'villager':
         return '#3182ce'; // Blue
       default:
@@ -176,6 +282,8 @@ export default function Home() {
       addLog('Connected to server');
       // Reset reconnect attempts on successful connection
       reconnectAttemptsRef.current = 0;
+      ws.send(JSON.stringify({ type: 'list_rooms' }));
+      ws.send(JSON.stringify({ type: 'list_saved_games', resumeTokens: Object.values(loadResumeTokens()) }));
     };
 
     const maxReconnectAttempts = 5;
@@ -184,6 +292,13 @@ export default function Home() {
       console.log('WebSocket disconnected:', event.code, event.reason);
       setIsConnected(false);
       addLog(`Disconnected from server: ${event.reason || 'Unknown reason'}`);
+      // The server gives up the seat of a connection that closes
+      setRoomId(null);
+      setLobby(null);
+      setViewMode('player');
+      setRoles([]);
+      setNightRequest(null);
+      playerIdRef.current = null;
       
       // Clear existing interval and WebSocket reference
       if (heartbeatIntervalRef.current) clearInterval(heartbeatIntervalRef.current);
@@ -289,14 +404,107 @@ export default function Home() {
               setIsPlayerTurn(jsonMessage.isPlayerTurn);
               break;
             
+            case 'game_phase':
+              setGamePhase(jsonMessage.phase);
+              setAllowedActions(jsonMessage.actions || []);
+              break;
+            
+            case 'player_role':
+              setPlayerRole(jsonMessage.role);
+              if (jsonMessage.gameId && jsonMessage.resumeToken) {
+                saveResumeToken(jsonMessage.gameId, jsonMessage.resumeToken);
+              }
+              break;
+
+            case 'police_changed':
+              setPoliceChief(jsonMessage.name);
+              break;
+            
             case 'game_started':
               setIsGameStarted(true);
-              addLog('Game has started!');
+              // Only the god view is told the seed before the game ends
+              addLog(jsonMessage.seed !== null && jsonMessage.seed !== undefined
+                ? `Game has started! (seed ${jsonMessage.seed})`
+                : 'Game has started!');
               break;
             
             case 'game_ended':
               setIsGameStarted(false);
-              addLog(`Game ended! ${jsonMessage.winner} won!`);
+              addLog(`Game ended! ${jsonMessage.winner} won! (seed ${jsonMessage.seed})`);
+              break;
+
+            case 'timer_tick':
+              // Other players' clocks are not ours to show; a shared clock has no player
+              if (!jsonMessage.playerId || jsonMessage.playerId === playerIdRef.current) {
+                setTimeLeft(jsonMessage.remaining);
+              }
+              break;
+
+            case 'timer_warning':
+              if (!jsonMessage.playerId || jsonMessage.playerId === playerIdRef.current) {
+                addLog(`Only ${jsonMessage.remaining} seconds left!`);
+              }
+              break;
+
+            case 'room_joined':
+              setRoomId(jsonMessage.roomId);
+              setViewMode(jsonMessage.mode || 'player');
+              playerIdRef.current = jsonMessage.playerId;
+              addLog(jsonMessage.playerId
+                ? `Joined room ${jsonMessage.roomId} as ${jsonMessage.playerId}`
+                : `Watching room ${jsonMessage.roomId} (${jsonMessage.mode})`);
+              break;
+
+            case 'roles':
+              setRoles(jsonMessage.roles);
+              break;
+
+            case 'night_action':
+              addLog(`Night ${jsonMessage.day}: ${jsonMessage.action} -> ${jsonMessage.targetName ?? jsonMessage.value ?? 'none'}`, 'god');
+              break;
+
+            case 'ai_decision':
+              addLog(`${jsonMessage.playerId} chose ${jsonMessage.choice ?? 'nothing'} for ${jsonMessage.action}`
+                + (jsonMessage.rejection ? ` (rejected: ${jsonMessage.rejection.message})` : ''), 'god');
+              break;
+
+            case 'ai_output':
+              addLog(`${jsonMessage.name}: ${jsonMessage.response}`, 'llm');
+              break;
+
+            case 'lobby_state':
+              setLobby(jsonMessage);
+              break;
+
+            case 'room_list':
+              setOpenRooms(jsonMessage.rooms);
+              break;
+
+            case 'timer_cleared':
+              setTimeLeft(null);
+              if (jsonMessage.name === 'action' && jsonMessage.playerId === playerIdRef.current) {
+                setNightRequest(null);
+              }
+              break;
+
+            case 'night_action_request':
+              lastNightRequestRef.current = jsonMessage;
+              setNightRequest(jsonMessage);
+              break;
+
+            case 'saved_games':
+              setSavedGames(jsonMessage.games);
+              break;
+
+            case 'action_rejected':
+              addLog(`Action rejected (${jsonMessage.code}): ${jsonMessage.message}`, 'error');
+              if (jsonMessage.action === lastNightRequestRef.current?.action) {
+                setNightRequest(lastNightRequestRef.current);
+              }
+              break;
+
+            case 'error':
+              addLog(`Error: ${jsonMessage.message}`, 'error');
               break;
 
             case 'audio_start':
@@ -461,6 +669,24 @@ export default function Home() {
     }
   };
 
+  // Answers a night_action_request; the target is a seat number, or null to take no action
+  const submitNightAction = (target: number | null, save: boolean = false) => {
+    if (!nightRequest || websocketRef.current?.readyState !== WebSocket.OPEN) return;
+    websocketRef.current.send(JSON.stringify({
+      type: 'night_action',
+      action: nightRequest.action,
+      target,
+      save
+    }));
+    setNightRequest(null);
+  };
+
+  const selfDestruct = () => {
+    if (websocketRef.current?.readyState === WebSocket.OPEN) {
+      websocketRef.current.send(JSON.stringify({ type: 'self_destruct' }));
+    }
+  };
+
   const startGame = async () => {
     try {
       await setupAudioWithRetry();
@@ -469,7 +695,7 @@ export default function Home() {
       if (websocketRef.current?.readyState === WebSocket.OPEN) {
         websocketRef.current.send(JSON.stringify({
           type: 'start_game',
-          playerId: 'human_player'
+          board
         }));
       }
     } catch (error) {
@@ -478,6 +704,61 @@ export default function Home() {
     }
   };
 
+  // Lobby messages: rooms are created with a board, joined by code, and started by the host
+  const sendLobbyMessage = (message: object) => {
+    if (websocketRef.current?.readyState === WebSocket.OPEN) {
+      websocketRef.current.send(JSON.stringify(message));
+    }
+  };
+
+  const createRoom = () => sendLobbyMessage({ type: 'create_room', board });
+
+  const joinRoom = (code: string) => sendLobbyMessage({ type: 'join_room', roomId: code.trim() });
+
+  const leaveRoom = () => {
+    sendLobbyMessage({ type: 'leave_room' });
+    setRoomId(null);
+    setLobby(null);
+    setViewMode('player');
+    setRoles([]);
+    playerIdRef.current = null;
+  };
+
+  // Watching needs audio playback only, never the microphone
+  const watchRoom = async (code: string, mode: ViewMode) => {
+    await setupAudioWithRetry();
+    sendLobbyMessage({ type: 'watch_room', roomId: code, mode, token: godToken });
+  };
+
+  const watchAIGame = async (mode: ViewMode) => {
+    await setupAudioWithRetry();
+    sendLobbyMessage({ type: 'start_ai_game', board, mode, token: godToken });
+  };
+
+  const pickSeat = (seat: number) => sendLobbyMessage({ type: 'pick_seat', seat });
+
+  const isHost = lobby !== null && lobby.hostId === playerIdRef.current;
+  const isReady = lobby?.seats.some(seat => seat.playerId === playerIdRef.current && seat.ready) ?? false;
+
+  const resumeGame = async (gameId: string) => {
+    try {
+      await setupAudioWithRetry();
+      await startRecording();
+
+      if (websocketRef.current?.readyState === WebSocket.OPEN) {
+        websocketRef.current.send(JSON.stringify({
+          type: 'resume_game',
+          gameId,
+          resumeToken: loadResumeTokens()[gameId]
+        }));
+        setSavedGames([]);
+      }
+    } catch (error) {
+      console.error('Failed to resume game:', error);
+      addLog('Error: Failed to resume game. Please refresh and try again.', 'error');
+    }
+  };
+
   // Move setupAudio and setupAudioWithRetry outside useEffect
   const setupAudio = async () => {
     try {
@@ -586,14 +867,156 @@ export default function Home() {
         </h1>
 
         <div className={styles.gameControls}>
-          {!isGameStarted ? (
-            <button 
-              className={`${styles.button} ${styles.buttonStart}`}
-              onClick={startGame}
-              disabled={!isConnected}
-            >
-              {isConnected ? 'Start New Game' : 'Connecting...'}
-            </button>
+          {!isGameStarted && lobby ? (
+            <div className={styles.lobby}>
+              <h3>Room {lobby.roomId} ({Array.isArray(lobby.board) ? 'custom board' : lobby.board})</h3>
+              <div className={styles.seatGrid}>
+                {lobby.seats.map(seat => (
+                  <button
+                    key={seat.seat}
+                    className={styles.seat}
+                    onClick={() => pickSeat(seat.seat)}
+                    disabled={seat.playerId !== null || viewMode !== 'player'}
+                  >
+                    {seat.seat}. {seat.name || 'Empty'}
+                    {seat.isAI && ' (AI)'}
+                    {seat.playerId === lobby.hostId && ' (host)'}
+                    {seat.playerId && seat.ready && ' - ready'}
+                  </button>
+                ))}
+              </div>
+              {viewMode === 'player' ? (
+                <button
+                  className={styles.button}
+                  onClick={() => sendLobbyMessage({ type: 'toggle_ready' })}
+                >
+                  {isReady ? 'Not Ready' : 'Ready'}
+                </button>
+              ) : (
+                <p>Watching as {viewMode}</p>
+              )}
+              {isHost && (
+                <>
+                  <button
+                    className={styles.button}
+                    onClick={() => sendLobbyMessage({ type: 'fill_ai' })}
+                  >
+                    Fill Empty Seats with AI
+                  </button>
+                  <button
+                    className={`${styles.button} ${styles.buttonStart}`}
+                    onClick={startGame}
+                  >
+                    Start Game
+                  </button>
+                </>
+              )}
+              <button
+                className={`${styles.button} ${styles.buttonStop}`}
+                onClick={leaveRoom}
+              >
+                Leave Room
+              </button>
+            </div>
+          ) : !isGameStarted ? (
+            <>
+              <select
+                className={styles.boardSelect}
+                value={board}
+                onChange={(e) => setBoard(e.target.value)}
+              >
+                {BOARD_OPTIONS.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+              <button 
+                className={`${styles.button} ${styles.buttonStart}`}
+                onClick={startGame}
+                disabled={!isConnected}
+              >
+                {isConnected ? 'Start New Game' : 'Connecting...'}
+              </button>
+              <button
+                className={styles.button}
+                onClick={createRoom}
+                disabled={!isConnected}
+              >
+                Create Room
+              </button>
+              <input
+                className={styles.boardSelect}
+                placeholder="Room code"
+                value={roomCode}
+                onChange={(e) => setRoomCode(e.target.value)}
+              />
+              <button
+                className={styles.button}
+                onClick={() => joinRoom(roomCode)}
+                disabled={!isConnected || !roomCode.trim()}
+              >
+                Join Room
+              </button>
+              <button
+                className={styles.button}
+                onClick={() => sendLobbyMessage({ type: 'list_rooms' })}
+                disabled={!isConnected}
+              >
+                Refresh Rooms
+              </button>
+              <input
+                className={styles.boardSelect}
+                type="password"
+                placeholder="God view token"
+                value={godToken}
+                onChange={(e) => setGodToken(e.target.value)}
+              />
+              <button
+                className={styles.button}
+                onClick={() => watchAIGame(godToken ? 'god' : 'spectator')}
+                disabled={!isConnected}
+              >
+                Watch AI Game
+              </button>
+              {openRooms.map(room => (
+                <div key={room.roomId}>
+                  {room.open && (
+                    <button
+                      className={styles.button}
+                      onClick={() => joinRoom(room.roomId)}
+                      disabled={!isConnected}
+                    >
+                      Join {room.host ?? 'AI'}'s room {room.roomId} ({room.players}/{room.seats} players)
+                    </button>
+                  )}
+                  <button
+                    className={styles.button}
+                    onClick={() => watchRoom(room.roomId, 'spectator')}
+                    disabled={!isConnected}
+                  >
+                    Watch {room.roomId}{room.started ? ' (in progress)' : ''}
+                  </button>
+                  {godToken && (
+                    <button
+                      className={styles.button}
+                      onClick={() => watchRoom(room.roomId, 'god')}
+                      disabled={!isConnected}
+                    >
+                      God View {room.roomId}
+                    </button>
+                  )}
+                </div>
+              ))}
+              {savedGames.map(game => (
+                <button
+                  key={game.gameId}
+                  className={styles.button}
+                  onClick={() => resumeGame(game.gameId)}
+                  disabled={!isConnected}
+                >
+                  Resume game from {new Date(game.savedAt).toLocaleString()} (day {game.day}, {game.phase})
+                </button>
+              ))}
+            </>
           ) : (
             <div className={styles.gameStatus}>
               <div className={styles.statusGrid}>
@@ -601,18 +1024,85 @@ export default function Home() {
                   <h3>Game Phase</h3>
                   <p>{gamePhase}</p>
                 </div>
+                {viewMode === 'player' ? (
+                  <div className={styles.statusItem}>
+                    <h3>Your Role</h3>
+                    <p style={{ color: playerRole ? getSpeakerColor(playerRole) : 'inherit' }}>
+                      {playerRole || 'Not assigned'}
+                    </p>
+                  </div>
+                ) : (
+                  <div className={styles.statusItem}>
+                    <h3>Watching</h3>
+                    <p>{viewMode === 'god' ? 'God view' : 'Spectator'}</p>
+                  </div>
+                )}
                 <div className={styles.statusItem}>
-                  <h3>Your Role</h3>
-                  <p style={{ color: playerRole ? getSpeakerColor(playerRole) : 'inherit' }}>
-                    {playerRole || 'Not assigned'}
-                  </p>
+                  <h3>Police Chief</h3>
+                  <p>{policeChief || 'None'}</p>
                 </div>
                 <div className={styles.statusItem}>
                   <h3>Current Speaker</h3>
                   <p>{currentSpeakerInfo ? getSpeakerDisplayName(currentSpeakerInfo) : ''}</p>
                 </div>
+                <div className={styles.statusItem}>
+                  <h3>Time Left</h3>
+                  <p>{timeLeft !== null ? `${timeLeft}s` : '-'}</p>
+                </div>
               </div>
               
+              {viewMode === 'god' && roles.length > 0 && (
+                <div className={styles.seatGrid}>
+                  {roles.map(entry => (
+                    <span key={entry.playerId} style={{ color: getSpeakerColor(entry.role) }}>
+                      {entry.seat}. {entry.name}: {entry.role}
+                    </span>
+                  ))}
+                </div>
+              )}
+
+              {nightRequest && (
+                <div className={styles.lobby}>
+                  <h3>
+                    {nightRequest.action === 'witch'
+                      ? (nightRequest.options.victim
+                        ? `${nightRequest.options.victim.name} was attacked tonight`
+                        : 'You are not told who was attacked tonight')
+                      : `Choose a player: ${nightRequest.action}`}
+                  </h3>
+                  <div className={styles.seatGrid}>
+                    {nightRequest.options.canSave && (
+                      <button className={styles.seat} onClick={() => submitNightAction(null, true)}>
+                        Use antidote
+                      </button>
+                    )}
+                    {nightRequest.targets.map(target => (
+                      <button
+                        key={target.playerId}
+                        className={styles.seat}
+                        onClick={() => submitNightAction(target.seat)}
+                      >
+                        {nightRequest.action === 'witch' ? 'Poison ' : ''}{target.seat}. {target.name}
+                      </button>
+                    ))}
+                    {nightRequest.options.canSkip && (
+                      <button className={styles.seat} onClick={() => submitNightAction(null)}>
+                        {nightRequest.action === 'witch' ? 'Pass' : 'Nobody'}
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {allowedActions.includes('selfDestruct') && (
+                <button
+                  className={`${styles.button} ${styles.buttonStop}`}
+                  onClick={selfDestruct}
+                >
+                  Self-destruct
+                </button>
+              )}
+
               <div className={styles.debugInfo}>
                 <p>Is Player Turn: {isPlayerTurn ? 'Yes' : 'No'}</p>
                 <p>Current Speaker: {currentSpeaker}</p>